@@ -6,12 +6,7 @@ declare global {
 		// interface Locals {}
 		// interface PageData {}
 		// interface PageState {}
-		interface Platform {
-			env: {
-				MY_DO: DurableObjectNamespace<MyDurableObject>;
-				ASSETS: Fetcher;
-			};
-		}
+		// interface Platform {} — `env` is generated from wrangler.jsonc, see svelte.config.js
 	}
 }
 
@@ -0,0 +1,329 @@
+import { spawn, type ChildProcess } from 'node:child_process';
+import {
+	existsSync,
+	mkdirSync,
+	mkdtempSync,
+	readdirSync,
+	readFileSync,
+	rmSync,
+	writeFileSync
+} from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Miniflare } from 'miniflare';
+import type { Plugin } from 'vite';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { cloudflareWorker, type CloudflareWorkerOptions } from './index.js';
+
+const wrangler = path.resolve('node_modules/.bin/wrangler');
+const hooks = path.resolve('src/lib/hooks.js');
+
+// What adapter-cloudflare writes for Pages: a `_worker.js` in the output directory that imports
+// the SvelteKit server and manifest from outside of it
+const adapterOutput = {
+	'wrangler.jsonc': JSON.stringify({
+		name: 'pages-test',
+		compatibility_date: '2025-01-01',
+		pages_build_output_dir: './.svelte-kit/cloudflare'
+	}),
+	'.svelte-kit/output/server/index.js': `import { workerLocals } from ${JSON.stringify(hooks)};
+
+export class Server {
+	async respond(request, { platform }) {
+		const { pathname } = new URL(request.url);
+		if (pathname === '/read') return platform.env.ASSETS.fetch(new URL('/robots.txt', request.url));
+		return workerLocals({
+			event: { request, locals: {} },
+			resolve: ({ locals }) =>
+				pathname === '/locals'
+					? Response.json({ tenant: locals.tenant, date: locals.date instanceof Date })
+					: new Response('sveltekit ' + request.method + ' ' + pathname)
+		});
+	}
+}
+`,
+	'.svelte-kit/cloudflare-tmp/manifest.js': `export const manifest = { appDir: '_app' };\n`,
+	'.svelte-kit/cloudflare/_worker.js': `import { Server } from '../output/server/index.js';
+import { manifest } from '../cloudflare-tmp/manifest.js';
+
+const server = new Server(manifest);
+
+var worker_default = {
+	async fetch(request, env, ctx) {
+		if (new URL(request.url).pathname === '/robots.txt') return env.ASSETS.fetch(request);
+		return server.respond(request, { platform: { env, ctx } });
+	}
+};
+
+export { worker_default as default };
+`,
+	'.svelte-kit/cloudflare/robots.txt': 'User-agent: *\n'
+};
+
+/** Write the files of a fixture, creating their directories */
+function writeFiles(dir: string, files: Record<string, string>) {
+	for (const [name, content] of Object.entries(files)) {
+		mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+		writeFileSync(path.join(dir, name), content);
+	}
+}
+
+/** Run the build plugin's hooks the way `vite build` does once the adapter has written its output */
+async function composeWorker(root: string, options?: CloudflareWorkerOptions) {
+	const plugins = await cloudflareWorker(options);
+	const plugin = plugins.find((p) => p.name === 'sveltekit-cloudflare-worker:build') as Plugin & {
+		config: (...args: unknown[]) => Promise<void>;
+		configResolved: (...args: unknown[]) => void;
+		closeBundle: { handler: (this: unknown) => Promise<void> };
+	};
+	const cwd = process.cwd();
+	process.chdir(root);
+	try {
+		await plugin.config({}, { command: 'build', mode: 'production' });
+		plugin.configResolved({ root });
+		await plugin.closeBundle.handler.call({ environment: { name: 'ssr', logger: console } });
+	} finally {
+		process.chdir(cwd);
+	}
+}
+
+/** Asks the OS for a port nothing listens on, so parallel runs don't collide. */
+async function freePort() {
+	const server = createServer();
+	await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+	const { port } = server.address() as { port: number };
+	await new Promise((resolve) => server.close(resolve));
+	return port;
+}
+
+async function waitForServer(url: string, child: ChildProcess, output: () => string) {
+	const deadline = Date.now() + 60_000;
+	while (Date.now() < deadline) {
+		if (child.exitCode !== null) break;
+		try {
+			return await fetch(url);
+		} catch {
+			await new Promise((resolve) => setTimeout(resolve, 250));
+		}
+	}
+	throw new Error(`wrangler pages dev didn't start:\n${output()}`);
+}
+
+describe('Pages output', () => {
+	let dir: string;
+	let child: ChildProcess | undefined;
+	let output = '';
+	let port: number;
+
+	beforeAll(async () => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-pages-'));
+		writeFiles(dir, {
+			...adapterOutput,
+			'src/worker.ts': `export async function fetch(request: Request, env: unknown, ctx: unknown, next: any) {
+	const { pathname } = new URL(request.url);
+	if (pathname === '/api') return new Response('worker');
+	if (pathname === '/locals') return next({ locals: { tenant: 'acme', date: new Date() } });
+}
+`
+		});
+
+		await composeWorker(dir, { tracing: { logs: false } });
+
+		port = await freePort();
+		child = spawn(
+			wrangler,
+			['pages', 'dev', '.svelte-kit/cloudflare', '--port', String(port), '--ip', '127.0.0.1'],
+			{ cwd: dir, env: { ...process.env, WRANGLER_SEND_METRICS: 'false' } }
+		);
+		child.stdout?.on('data', (chunk) => (output += chunk));
+		child.stderr?.on('data', (chunk) => (output += chunk));
+		await waitForServer(`http://127.0.0.1:${port}/robots.txt`, child, () => output);
+	}, 120_000);
+
+	afterAll(async () => {
+		if (child?.pid && child.exitCode === null) {
+			const exited = new Promise((resolve) => child!.once('exit', resolve));
+			child.kill();
+			await exited;
+		}
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('keeps the modules in the _worker.js directory', () => {
+		const workerDir = path.join(dir, '.svelte-kit/cloudflare/_worker.js');
+		expect(existsSync(path.join(workerDir, 'index.js'))).toBe(true);
+		expect(existsSync(path.join(workerDir, '_sveltekit-worker.js'))).toBe(true);
+		expect(existsSync(path.join(workerDir, '_user-worker.js'))).toBe(true);
+	});
+
+	it('runs the worker in wrangler pages dev', async () => {
+		const response = await fetch(`http://127.0.0.1:${port}/api`);
+		expect(await response.text()).toBe('worker');
+	});
+
+	it('falls through to sveltekit', async () => {
+		const response = await fetch(`http://127.0.0.1:${port}/about`, { method: 'POST', body: 'x' });
+		expect(await response.text()).toBe('sveltekit POST /about');
+	});
+
+	it('times static assets apart from sveltekit', async () => {
+		const asset = await fetch(`http://127.0.0.1:${port}/robots.txt`);
+		expect(await asset.text()).toBe('User-agent: *\n');
+		expect(asset.headers.get('server-timing')).toMatch(/\basset;/);
+
+		// A fetch of the assets binding by the app isn't the adapter serving an asset
+		const read = await fetch(`http://127.0.0.1:${port}/read`);
+		expect(await read.text()).toBe('User-agent: *\n');
+		expect(read.headers.get('server-timing')).toMatch(/\bsveltekit;/);
+		expect(read.headers.get('server-timing')).not.toMatch(/\basset;/);
+	});
+
+	it('hands locals to sveltekit as they are', async () => {
+		const response = await fetch(`http://127.0.0.1:${port}/locals`);
+		expect(await response.json()).toEqual({ tenant: 'acme', date: true });
+	});
+});
+
+describe('Pages validation', () => {
+	let dir: string;
+
+	beforeAll(() => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-pages-'));
+	});
+
+	afterAll(() => {
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('fails the build on handlers of the default export other than fetch', async () => {
+		writeFiles(dir, {
+			...adapterOutput,
+			'src/worker.ts': `export default {
+	async fetch() {
+		return new Response('worker');
+	},
+	async scheduled() {}
+};
+`
+		});
+		await expect(composeWorker(dir)).rejects.toThrow(
+			'The default export of src/worker.ts has a "scheduled" handler'
+		);
+	});
+});
+
+describe('?url imports', () => {
+	let dir: string;
+
+	beforeAll(async () => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-build-'));
+		writeFiles(dir, {
+			'svelte.config.js': `export default { kit: { paths: { base: '/base' } } };\n`,
+			// The static assets directory is not the one of the worker
+			'wrangler.jsonc': JSON.stringify({
+				name: 'url-test',
+				main: 'dist/server/_worker.js',
+				compatibility_date: '2025-01-01',
+				assets: { binding: 'ASSETS', directory: './dist/client' }
+			}),
+			'dist/server/_worker.js': `export default { async fetch() { return new Response('sveltekit'); } };\n`,
+			'src/logo.svg': '<svg xmlns="http://www.w3.org/2000/svg"></svg>\n',
+			'src/worker.ts': `import logo from './logo.svg?url';
+
+export async function fetch() {
+	return new Response(logo);
+}
+`
+		});
+
+		await composeWorker(dir);
+	});
+
+	afterAll(() => {
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('copies the file to the static assets under the base path', () => {
+		const assetsDir = path.join(dir, 'dist/client/base/_app/immutable/assets');
+		const [file] = readdirSync(assetsDir);
+		expect(file).toMatch(/^logo-\w{8}\.svg$/);
+		expect(existsSync(path.join(dir, 'dist/server/base'))).toBe(false);
+
+		const userWorker = readFileSync(path.join(dir, 'dist/server/_user-worker.js'), 'utf-8');
+		expect(userWorker).toContain(`"/base/_app/immutable/assets/${file}"`);
+	});
+});
+
+describe('dispatch maps', () => {
+	let dir: string;
+	let mf: Miniflare;
+
+	beforeAll(async () => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-maps-'));
+		writeFiles(dir, {
+			'wrangler.jsonc': JSON.stringify({
+				name: 'maps-test',
+				main: 'dist/server/_worker.js',
+				compatibility_date: '2025-01-01',
+				assets: { binding: 'ASSETS', directory: './dist/client' },
+				queues: { consumers: [{ queue: 'emails' }, { queue: 'thumbnails' }] },
+				triggers: { crons: ['0 * * * *', '0 3 * * *'] }
+			}),
+			'dist/server/_worker.js': `export default { async fetch() { return new Response('sveltekit'); } };\n`,
+			'src/worker.ts': `export const queues = {
+	emails: (batch: any) => batch.ackAll(),
+	thumbnails: (batch: any) => batch.retryAll()
+};
+
+export const crons = {
+	'0 * * * *': () => {},
+	'0 3 * * *': (controller: any) => controller.noRetry()
+};
+`
+		});
+
+		await composeWorker(dir);
+
+		mf = new Miniflare({
+			modules: true,
+			modulesRoot: dir,
+			modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+			scriptPath: path.join(dir, 'dist/server/_worker.js'),
+			compatibilityDate: '2025-01-01'
+		});
+	});
+
+	afterAll(async () => {
+		await mf?.dispose();
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	const messages = [{ id: '1', timestamp: new Date(), body: {}, attempts: 1 }];
+
+	it('routes each batch to the handler of its queue', async () => {
+		const worker = await mf.getWorker();
+		expect(await worker.queue('emails', messages)).toMatchObject({ outcome: 'ok', ackAll: true });
+		expect(await worker.queue('thumbnails', messages)).toMatchObject({
+			outcome: 'ok',
+			retryBatch: { retry: true }
+		});
+		expect((await worker.queue('invoices', messages)).outcome).toBe('exception');
+	});
+
+	it('runs the handler of the cron that fired', async () => {
+		const worker = await mf.getWorker();
+		const scheduledTime = new Date();
+		expect(await worker.scheduled({ cron: '0 * * * *', scheduledTime })).toEqual({
+			outcome: 'ok',
+			noRetry: false
+		});
+		expect(await worker.scheduled({ cron: '0 3 * * *', scheduledTime })).toEqual({
+			outcome: 'ok',
+			noRetry: true
+		});
+		expect((await worker.scheduled({ cron: '*/5 * * * *', scheduledTime })).outcome).toBe(
+			'exception'
+		);
+	});
+});
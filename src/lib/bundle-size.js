@@ -0,0 +1,247 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+
+/**
+ * @typedef {{ budget: number, onExceed: 'warn' | 'error', json: string | undefined }} BundleSize
+ */
+
+/**
+ * Resolve the `bundleSize` option. The default budget is the compressed size limit of a
+ * worker on the Workers Free plan.
+ * @param {import('./index.js').CloudflareWorkerOptions['bundleSize']} option
+ * @returns {BundleSize | undefined}
+ */
+export function resolveBundleSize(option) {
+	if (option === false) return undefined;
+	const {
+		budget = 3 * 1024 * 1024,
+		onExceed = 'warn',
+		json
+	} = option === true ? {} : (option ?? {});
+	return { budget, onExceed, json };
+}
+
+/**
+ * One part of the deployed worker. `gzip` is the size of the part compressed on its own, or
+ * `null` when a minified bundle can't be split into parts.
+ * @typedef {{ kind: 'worker' | 'sveltekit' | 'entry' | 'dependency' | 'module', name: string, raw: number, gzip: number | null }} SizePart
+ */
+
+/**
+ * @typedef {{ total: { raw: number, gzip: number }, minified: boolean, parts: SizePart[] }} SizeReport
+ */
+
+const SIZE_KINDS = ['worker', 'sveltekit', 'entry', 'dependency', 'module'];
+
+// Dependencies listed in the build output, the others are summed up
+const SIZE_REPORT_DEPENDENCIES = 10;
+
+/**
+ * Measure the worker as wrangler deploys it: the composed entry bundled with the SvelteKit
+ * server and its dependencies, plus the modules imported by wrangler rules. The user worker
+ * is bundled from source rather than from `_user-worker.js`, so the metafile keeps its
+ * dependencies apart. Parts are told apart by the `// <input>` comment esbuild starts each
+ * module with, unless the wrangler config minifies the worker.
+ * @param {string} entry The composed entry
+ * @param {string} workerPath
+ * @param {import('esbuild').Metafile} workerMetafile The metafile of `_user-worker.js`
+ * @param {import('esbuild').Plugin} resolvePlugin Resolves the user worker's imports as its build did
+ * @param {boolean} minified Whether the wrangler config minifies the worker
+ * @param {Map<string, { file: string }>} modules The modules imported by wrangler rules
+ * @returns {Promise<SizeReport>}
+ */
+export async function measureWorker(
+	entry,
+	workerPath,
+	workerMetafile,
+	resolvePlugin,
+	minified,
+	modules
+) {
+	const workerFile = path.relative(process.cwd(), workerPath);
+	const { build } = await import('esbuild');
+	const result = await build({
+		entryPoints: [entry],
+		write: false,
+		absWorkingDir: process.cwd(),
+		metafile: true,
+		bundle: true,
+		format: 'esm',
+		platform: 'browser',
+		minify: minified,
+		external: ['cloudflare:*'],
+		conditions: ['workerd'],
+		plugins: [
+			{
+				name: 'sveltekit-cloudflare-worker:user-worker-source',
+				setup(build) {
+					build.onResolve({ filter: /^\.\/_user-worker\.js$/ }, () => ({ path: workerPath }));
+					// The user worker was checked against the compatibility flags already, and the
+					// SvelteKit server is wrangler's business
+					build.onResolve({ filter: /^node:/ }, (args) => ({ path: args.path, external: true }));
+				}
+			},
+			resolvePlugin
+		],
+		logLevel: 'silent'
+	});
+
+	const output = result.outputFiles[0].text;
+	const inputs = Object.values(result.metafile.outputs)[0].inputs;
+
+	/** @type {Map<string, string>} */
+	const slices = new Map();
+	if (!minified) {
+		let current = '';
+		let start = 0;
+		const lines = output.split('\n');
+		for (const [index, line] of lines.entries()) {
+			if (!line.startsWith('// ') || !(line.slice(3) in inputs)) continue;
+			slices.set(current, (slices.get(current) ?? '') + lines.slice(start, index).join('\n'));
+			current = line.slice(3);
+			start = index;
+		}
+		slices.set(current, (slices.get(current) ?? '') + lines.slice(start).join('\n'));
+	}
+
+	/** @type {Map<string, Omit<SizePart, 'gzip'> & { code: string }>} */
+	const parts = new Map();
+	const entryInput = path.relative(process.cwd(), entry);
+	for (const [input, { bytesInOutput }] of Object.entries(inputs)) {
+		const modules = input.lastIndexOf('node_modules/');
+		const [scope, name] = input.slice(modules + 'node_modules/'.length).split('/');
+		/** @type {Pick<SizePart, 'kind' | 'name'>} */
+		const part =
+			modules !== -1
+				? { kind: 'dependency', name: scope.startsWith('@') ? `${scope}/${name}` : scope }
+				: input === entryInput
+					? { kind: 'entry', name: 'generated entry' }
+					: input in workerMetafile.inputs
+						? { kind: 'worker', name: workerFile }
+						: { kind: 'sveltekit', name: 'SvelteKit server' };
+		const key = `${part.kind}:${part.name}`;
+		const existing = parts.get(key) ?? { ...part, raw: 0, code: '' };
+		existing.raw += bytesInOutput;
+		existing.code += slices.get(input) ?? '';
+		parts.set(key, existing);
+	}
+	if (!minified) {
+		// Code before the first module comment, e.g. imports of external modules
+		const entryPart = parts.get('entry:generated entry');
+		if (entryPart) entryPart.code += slices.get('') ?? '';
+	}
+
+	/** @type {SizePart[]} */
+	const report = [...parts.values()].map(({ code, ...part }) => ({
+		...part,
+		gzip: minified ? null : gzipSync(code).length
+	}));
+	for (const { file } of modules.values()) {
+		const content = readFileSync(file);
+		report.push({
+			kind: 'module',
+			name: path.relative(process.cwd(), file),
+			raw: content.length,
+			gzip: gzipSync(content).length
+		});
+	}
+
+	const order = (/** @type {SizePart} */ part) => SIZE_KINDS.indexOf(part.kind);
+	return {
+		total: {
+			raw:
+				Buffer.byteLength(output) +
+				report.reduce((sum, p) => (p.kind === 'module' ? sum + p.raw : sum), 0),
+			gzip:
+				gzipSync(output).length +
+				report.reduce((sum, p) => (p.kind === 'module' ? sum + (p.gzip ?? 0) : sum), 0)
+		},
+		minified,
+		parts: report.sort((a, b) => order(a) - order(b) || a.name.localeCompare(b.name))
+	};
+}
+
+/**
+ * Print the size report, write it as JSON when asked to, and warn or fail when the
+ * compressed worker is over budget.
+ * @param {SizeReport} report
+ * @param {BundleSize} bundleSize
+ * @param {string} root
+ * @param {{ info(message: string): void }} logger
+ */
+export function checkBundleSize(report, bundleSize, root, logger) {
+	logger.info(formatSizeReport(report, bundleSize.budget));
+
+	if (bundleSize.json) {
+		const jsonPath = path.resolve(root, bundleSize.json);
+		mkdirSync(path.dirname(jsonPath), { recursive: true });
+		writeFileSync(
+			jsonPath,
+			JSON.stringify({ ...report, budget: bundleSize.budget }, null, '\t') + '\n'
+		);
+	}
+
+	if (report.total.gzip <= bundleSize.budget) return;
+	const message =
+		`[sveltekit-cloudflare-worker] The worker is ${formatSize(report.total.gzip)} compressed, over ` +
+		`its budget of ${formatSize(bundleSize.budget)}. Workers can be up to 3 MiB compressed on the ` +
+		'Free plan and 10 MiB on the Paid plan.';
+	if (bundleSize.onExceed === 'error') {
+		throw new Error(message);
+	}
+	console.warn(message);
+}
+
+/**
+ * @param {SizeReport} report
+ * @param {number} budget
+ * @returns {string}
+ */
+function formatSizeReport(report, budget) {
+	const dependencies = report.parts
+		.filter((part) => part.kind === 'dependency')
+		.sort((a, b) => b.raw - a.raw);
+	const others = dependencies.slice(SIZE_REPORT_DEPENDENCIES);
+	/** @type {SizePart[]} */
+	const rows = [
+		...report.parts.filter((part) => part.kind === 'worker' || part.kind === 'sveltekit'),
+		...report.parts.filter((part) => part.kind === 'entry'),
+		...dependencies.slice(0, SIZE_REPORT_DEPENDENCIES),
+		...(others.length > 0
+			? [
+					{
+						kind: /** @type {const} */ ('dependency'),
+						name: `${others.length} other dependencies`,
+						raw: others.reduce((sum, part) => sum + part.raw, 0),
+						gzip: report.minified ? null : others.reduce((sum, part) => sum + (part.gzip ?? 0), 0)
+					}
+				]
+			: []),
+		...report.parts.filter((part) => part.kind === 'module')
+	];
+
+	const width = Math.max(...rows.map((row) => row.name.length), 'total'.length);
+	/** @param {string} name @param {number} raw @param {number | null} gzip */
+	const line = (name, raw, gzip) =>
+		`  ${name.padEnd(width)}  ${formatSize(raw).padStart(11)} │ gzip: ${(gzip === null ? '-' : formatSize(gzip)).padStart(11)}`;
+
+	return [
+		'[sveltekit-cloudflare-worker] Worker size' +
+			(report.minified
+				? ' (minified, so gzip is only measured in total):'
+				: ' (gzip of each part on its own):'),
+		...rows.map((row) => line(row.name, row.raw, row.gzip)),
+		line('total', report.total.raw, report.total.gzip) + ` (budget ${formatSize(budget)})`
+	].join('\n');
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+	return bytes >= 1024 * 1024
+		? `${(bytes / 1024 / 1024).toFixed(2)} MiB`
+		: `${(bytes / 1024).toFixed(2)} KiB`;
+}
@@ -0,0 +1,139 @@
+import type { Metafile } from 'esbuild';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { checkBundleSize, measureWorker } from './bundle-size.js';
+
+describe('measureWorker', () => {
+	let dir: string;
+	const cwd = process.cwd();
+	const noResolve = { name: 'none', setup() {} };
+	// Only tells which inputs belong to the user worker
+	const workerMetafile = { inputs: { 'src/worker.js': {} }, outputs: {} } as unknown as Metafile;
+
+	beforeAll(() => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-size-'));
+		const files: Record<string, string> = {
+			'node_modules/tiny-dep/package.json': '{ "name": "tiny-dep", "main": "index.js" }',
+			'node_modules/tiny-dep/index.js': `export const dep = ${JSON.stringify('dep'.repeat(100))};\n`,
+			'node_modules/@scope/pkg/package.json': '{ "name": "@scope/pkg", "main": "index.js" }',
+			'node_modules/@scope/pkg/index.js': 'export const scoped = 1;\n',
+			'src/worker.js': `import { dep } from 'tiny-dep';
+import { scoped } from '@scope/pkg';
+export const fetch = () => new Response(dep + scoped);
+`,
+			'sveltekit.js': `export default { fetch: () => new Response('sveltekit') };\n`,
+			'_worker.js': `import sveltekit from './sveltekit.js';
+import * as user from './_user-worker.js';
+export default { fetch: (request) => user.fetch(request) ?? sveltekit.fetch(request) };
+`,
+			'query.sql': 'SELECT 1;\n'
+		};
+		for (const [name, content] of Object.entries(files)) {
+			mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+			writeFileSync(path.join(dir, name), content);
+		}
+		process.chdir(dir);
+	});
+
+	afterAll(() => {
+		process.chdir(cwd);
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('breaks the worker down into its parts', async () => {
+		const report = await measureWorker(
+			path.join(dir, '_worker.js'),
+			path.join(dir, 'src/worker.js'),
+			workerMetafile,
+			noResolve,
+			false,
+			new Map([['query.sql', { file: path.join(dir, 'query.sql') }]])
+		);
+
+		expect(report.minified).toBe(false);
+		expect(report.parts.map(({ kind, name }) => ({ kind, name }))).toEqual([
+			{ kind: 'worker', name: 'src/worker.js' },
+			{ kind: 'sveltekit', name: 'SvelteKit server' },
+			{ kind: 'entry', name: 'generated entry' },
+			{ kind: 'dependency', name: '@scope/pkg' },
+			{ kind: 'dependency', name: 'tiny-dep' },
+			{ kind: 'module', name: 'query.sql' }
+		]);
+		const dep = report.parts.find((part) => part.name === 'tiny-dep')!;
+		expect(dep.raw).toBeGreaterThan(300);
+		expect(dep.gzip).toBeLessThan(dep.raw);
+		expect(report.parts.at(-1)).toMatchObject({ raw: 10 });
+
+		const raw = report.parts.reduce((sum, part) => sum + part.raw, 0);
+		expect(report.total.raw).toBeGreaterThanOrEqual(raw);
+	});
+
+	it('only measures gzip in total when the worker is minified', async () => {
+		const report = await measureWorker(
+			path.join(dir, '_worker.js'),
+			path.join(dir, 'src/worker.js'),
+			workerMetafile,
+			noResolve,
+			true,
+			new Map()
+		);
+
+		expect(report.minified).toBe(true);
+		expect(report.parts.every((part) => part.gzip === null)).toBe(true);
+		expect(report.total.gzip).toBeGreaterThan(0);
+	});
+});
+
+describe('checkBundleSize', () => {
+	let dir: string;
+	const report = {
+		total: { raw: 4096, gzip: 2048 },
+		minified: false,
+		parts: [{ kind: 'worker' as const, name: 'src/worker.ts', raw: 4096, gzip: 2048 }]
+	};
+
+	beforeAll(() => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-budget-'));
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	afterAll(() => {
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('logs the report and writes it as JSON', () => {
+		const info = vi.fn();
+		checkBundleSize(report, { budget: 4096, onExceed: 'error', json: 'reports/size.json' }, dir, {
+			info
+		});
+
+		expect(info).toHaveBeenCalledWith(expect.stringContaining('src/worker.ts'));
+		expect(info).toHaveBeenCalledWith(expect.stringContaining('(budget 4.00 KiB)'));
+		const json = JSON.parse(readFileSync(path.join(dir, 'reports/size.json'), 'utf-8'));
+		expect(json).toEqual({ ...report, budget: 4096 });
+	});
+
+	it('warns when the worker is over budget', () => {
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		checkBundleSize(report, { budget: 1024, onExceed: 'warn', json: undefined }, dir, {
+			info() {}
+		});
+
+		expect(warn).toHaveBeenCalledWith(
+			expect.stringContaining('The worker is 2.00 KiB compressed, over its budget of 1.00 KiB')
+		);
+	});
+
+	it('fails when asked to', () => {
+		expect(() =>
+			checkBundleSize(report, { budget: 1024, onExceed: 'error', json: undefined }, dir, {
+				info() {}
+			})
+		).toThrow('over its budget of 1.00 KiB');
+	});
+});
@@ -0,0 +1,26 @@
+/**
+ * Origin of the URLs that cache keys are stored under, since the Cache API only takes URLs.
+ * A key that isn't a URL is stored as `<origin>/<key>`.
+ */
+export const CACHE_KEY_ORIGIN: string;
+
+/**
+ * Removes a response from `caches.default`: pass a URL to remove what the adapter (or
+ * `next({ cache })`) stored for it, or a `next({ cache: { key } })` key. Usable from any
+ * handler and from SvelteKit server code.
+ *
+ * Like the Cache API itself, it only affects the data center it runs in.
+ *
+ * @example
+ * ```ts
+ * // src/worker.ts
+ * import { purge } from 'sveltekit-cloudflare-worker/cache';
+ *
+ * export const queue: WorkerQueue<Env> = async (batch) => {
+ *   for (const message of batch.messages) {
+ *     await purge(`products:${message.body.tenant}`);
+ *   }
+ * };
+ * ```
+ */
+export function purge(urlOrKey: string | URL | Request): Promise<boolean>;
@@ -0,0 +1,24 @@
+/**
+ * Origin of the URLs that cache keys are stored under, since the Cache API only takes URLs.
+ * `next({ cache: { key } })` and `purge` map a key that isn't a URL to `<origin>/<key>`.
+ */
+export const CACHE_KEY_ORIGIN = 'https://cache.sveltekit-cloudflare-worker.internal';
+
+/**
+ * Remove a response from `caches.default`: the one stored for a URL, by the adapter or by
+ * `next({ cache })`, or the one stored under a `next({ cache: { key } })` key.
+ * @param {string | URL | Request} urlOrKey
+ * @returns {Promise<boolean>} Whether a response was removed
+ */
+export function purge(urlOrKey) {
+	return /** @type {any} */ (caches).default.delete(cacheKey(urlOrKey));
+}
+
+/**
+ * @param {string | URL | Request} urlOrKey
+ * @returns {string}
+ */
+function cacheKey(urlOrKey) {
+	const key = urlOrKey instanceof Request ? urlOrKey.url : String(urlOrKey);
+	return /^https?:\/\//.test(key) ? key : `${CACHE_KEY_ORIGIN}/${encodeURIComponent(key)}`;
+}
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+const USAGE = `Usage: sveltekit-cloudflare-worker <event> [options]
+
+Triggers a handler of the worker running in \`vite dev\` and prints what it did.
+
+Events:
+  scheduled [--cron <pattern>] [--time <ms>]   Call scheduled (or the crons map)
+  queue <name> [file]                          Send a JSON array of message bodies to queue
+  email [file] [--from <address>] [--to <address>]
+                                               Deliver a raw RFC 822 message to email
+
+The body is read from the file, or from stdin without one.
+
+Options:
+  --url <origin>   Dev server origin (default: http://localhost:5173)
+  -h, --help       Show this help`;
+
+const { values, positionals } = parseArgs({
+	allowPositionals: true,
+	options: {
+		url: { type: 'string', default: 'http://localhost:5173' },
+		cron: { type: 'string' },
+		time: { type: 'string' },
+		from: { type: 'string' },
+		to: { type: 'string' },
+		help: { type: 'boolean', short: 'h' }
+	}
+});
+
+const [event, ...rest] = positionals;
+
+if (values.help || !event) {
+	console.log(USAGE);
+	process.exit(values.help ? 0 : 1);
+}
+
+/**
+ * Read the request body from a file, or from stdin when there is none (or it's `-`).
+ * @param {string | undefined} file
+ * @returns {Promise<string>}
+ */
+async function readBody(file) {
+	if (file && file !== '-') return readFile(file, 'utf-8');
+	/** @type {Buffer[]} */
+	const chunks = [];
+	for await (const chunk of process.stdin) chunks.push(chunk);
+	return Buffer.concat(chunks).toString();
+}
+
+/** @type {Record<string, string>} */
+const params = {};
+/** @type {string} */
+let pathname;
+/** @type {string | undefined} */
+let body;
+
+if (event === 'scheduled') {
+	pathname = 'scheduled';
+	if (values.cron !== undefined) params.cron = values.cron;
+	if (values.time !== undefined) params.time = values.time;
+} else if (event === 'queue' && rest[0]) {
+	pathname = `queue/${encodeURIComponent(rest[0])}`;
+	body = await readBody(rest[1]);
+} else if (event === 'email') {
+	pathname = 'email';
+	if (values.from !== undefined) params.from = values.from;
+	if (values.to !== undefined) params.to = values.to;
+	body = await readBody(rest[0]);
+} else {
+	console.error(`${event === 'queue' ? 'Missing the queue name.' : `Unknown event "${event}".`}\n`);
+	console.error(USAGE);
+	process.exit(1);
+}
+
+const url = new URL(`/__worker/${pathname}`, values.url);
+url.search = new URLSearchParams(params).toString();
+
+/** @type {Response} */
+let response;
+try {
+	response = await fetch(url, body === undefined ? {} : { method: 'POST', body });
+} catch (error) {
+	console.error(`Could not reach ${url.origin}. Is \`vite dev\` running?`);
+	console.error(/** @type {any} */ (error).cause ?? error);
+	process.exit(1);
+}
+
+const text = await response.text();
+try {
+	console.log(JSON.stringify(JSON.parse(text), null, '\t'));
+} catch {
+	console.log(text);
+}
+process.exitCode = response.ok ? 0 : 1;
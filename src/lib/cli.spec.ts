@@ -0,0 +1,81 @@
+import { execFile } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { createServer, type Server } from 'node:http';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+const cli = path.resolve('src/lib/cli.js');
+
+describe('cli', () => {
+	let dir: string;
+	let server: Server;
+	let origin: string;
+
+	// Answers with what it received, like the /__worker/* routes answer with a report
+	beforeAll(async () => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-cli-'));
+		server = createServer(async (request, response) => {
+			let body = '';
+			for await (const chunk of request) body += chunk;
+			const status = request.url!.startsWith('/__worker/email') ? 500 : 200;
+			response.writeHead(status, { 'content-type': 'application/json' });
+			response.end(JSON.stringify({ method: request.method, url: request.url, body }));
+		});
+		await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+		const address = server.address() as { port: number };
+		origin = `http://127.0.0.1:${address.port}`;
+	});
+
+	afterAll(async () => {
+		await new Promise((resolve) => server.close(resolve));
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	function run(args: string[], input?: string) {
+		return new Promise<{ code: number; stdout: string }>((resolve) => {
+			const child = execFile('node', [cli, ...args, '--url', origin], (error, stdout) =>
+				resolve({ code: error ? (error.code as number) : 0, stdout })
+			);
+			child.stdin!.end(input);
+		});
+	}
+
+	it('calls scheduled with the cron and time', async () => {
+		const { code, stdout } = await run(['scheduled', '--cron', '0 * * * *', '--time', '1000']);
+		expect(code).toBe(0);
+		expect(JSON.parse(stdout)).toEqual({
+			method: 'GET',
+			url: '/__worker/scheduled?cron=0+*+*+*+*&time=1000',
+			body: ''
+		});
+	});
+
+	it('sends the messages of a queue from a file or stdin', async () => {
+		const messages = '[{ "to": "a@b.com" }]';
+		writeFileSync(path.join(dir, 'messages.json'), messages);
+
+		for (const [args, input] of [[[path.join(dir, 'messages.json')]], [[], messages]] as const) {
+			const { stdout } = await run(['queue', 'thumbnail jobs', ...args], input);
+			expect(JSON.parse(stdout)).toEqual({
+				method: 'POST',
+				url: '/__worker/queue/thumbnail%20jobs',
+				body: messages
+			});
+		}
+	});
+
+	it('delivers an email and fails with the handler', async () => {
+		const { code, stdout } = await run(['email', '--to', 'support@example.com'], 'Subject: hi\n');
+		expect(code).toBe(1);
+		expect(JSON.parse(stdout)).toEqual({
+			method: 'POST',
+			url: '/__worker/email?to=support%40example.com',
+			body: 'Subject: hi\n'
+		});
+	});
+
+	it('rejects unknown events', async () => {
+		expect((await run(['fetch'])).code).toBe(1);
+	});
+});
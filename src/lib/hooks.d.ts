@@ -0,0 +1,59 @@
+import type { Handle } from '@sveltejs/kit';
+
+/**
+ * Request header carrying the `locals` passed to `next({ locals })` from the worker
+ * `fetch` to SvelteKit in dev, where SvelteKit runs in Vite's Node process. Incoming requests
+ * never carry it: the plugin strips it before your worker `fetch` runs, and `workerLocals`
+ * removes it once read.
+ */
+export const LOCALS_HEADER: string;
+
+/**
+ * `Symbol.for` key of the `WeakMap` on `globalThis` that holds the `locals` passed to
+ * `next({ locals })` by request in the build output, where the worker and SvelteKit share an
+ * isolate. The values aren't serialized, so they can be anything.
+ */
+export const LOCALS_KEY: string;
+
+/**
+ * Request header carrying the error thrown by the worker `fetch` to SvelteKit when the
+ * `onError` export falls through. Incoming requests never carry it.
+ */
+export const ERROR_HEADER: string;
+
+/**
+ * SvelteKit `handle` hook that merges the `locals` passed to `next({ locals })` in the
+ * worker `fetch` into `event.locals`, so hooks and server `load` functions can reuse
+ * what the worker middleware already computed.
+ *
+ * @example
+ * ```ts
+ * // src/hooks.server.ts
+ * import { sequence } from '@sveltejs/kit/hooks';
+ * import { workerLocals } from 'sveltekit-cloudflare-worker/hooks';
+ *
+ * export const handle = sequence(workerLocals, async ({ event, resolve }) => {
+ *   console.log(event.locals.tenant);
+ *   return resolve(event);
+ * });
+ * ```
+ */
+export const workerLocals: Handle;
+
+/**
+ * SvelteKit `handle` hook that rethrows the error of the worker `fetch` when the `onError`
+ * export returns nothing, so it reaches `handleError` and SvelteKit renders its error page.
+ * The error keeps its `name`, `message` and `stack`. SvelteKit renders errors thrown in
+ * `handle` with `src/error.html` (JSON for data and JSON requests), not `+error.svelte`.
+ * Put it first, so no other hook runs for the failed request.
+ *
+ * @example
+ * ```ts
+ * // src/hooks.server.ts
+ * import { sequence } from '@sveltejs/kit/hooks';
+ * import { workerError, workerLocals } from 'sveltekit-cloudflare-worker/hooks';
+ *
+ * export const handle = sequence(workerError, workerLocals);
+ * ```
+ */
+export const workerError: Handle;
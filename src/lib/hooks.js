@@ -0,0 +1,58 @@
+/**
+ * Request header carrying the `locals` passed to `next({ locals })` from the worker
+ * `fetch` to SvelteKit in dev. The generated entry removes it from incoming requests.
+ */
+export const LOCALS_HEADER = 'x-sveltekit-worker-locals';
+
+/**
+ * `Symbol.for` key of the WeakMap holding the `locals` passed to `next({ locals })` by request,
+ * when the worker and SvelteKit share an isolate (the build output).
+ */
+export const LOCALS_KEY = 'sveltekit-cloudflare-worker.locals';
+
+/**
+ * Request header carrying the error thrown by the worker `fetch` to SvelteKit, when the
+ * `onError` export falls through. The generated entry removes it from incoming requests.
+ */
+export const ERROR_HEADER = 'x-sveltekit-worker-error';
+
+/**
+ * SvelteKit `handle` hook that merges the `locals` passed to `next({ locals })` in the
+ * worker `fetch` into `event.locals`.
+ * @type {import('@sveltejs/kit').Handle}
+ */
+export const workerLocals = ({ event, resolve }) => {
+	const locals = /** @type {any} */ (globalThis)[Symbol.for(LOCALS_KEY)]?.get(event.request);
+	if (locals) {
+		Object.assign(event.locals, locals);
+	}
+
+	const header = event.request.headers.get(LOCALS_HEADER);
+	if (header) {
+		Object.assign(event.locals, JSON.parse(decodeURIComponent(header)));
+		// Keep it out of the headers the app forwards, e.g. with `fetch(url, event.request)`
+		try {
+			event.request.headers.delete(LOCALS_HEADER);
+		} catch {
+			// immutable headers
+		}
+	}
+	return resolve(event);
+};
+
+/**
+ * SvelteKit `handle` hook that rethrows the error of the worker `fetch` when its `onError`
+ * export falls through, so SvelteKit passes it to `handleError` and renders its error page.
+ * @type {import('@sveltejs/kit').Handle}
+ */
+export const workerError = ({ event, resolve }) => {
+	const header = event.request.headers.get(ERROR_HEADER);
+	if (header) {
+		const { name, message, stack } = JSON.parse(decodeURIComponent(header));
+		const error = new Error(message);
+		error.name = name;
+		error.stack = stack;
+		throw error;
+	}
+	return resolve(event);
+};
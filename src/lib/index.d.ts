@@ -4,7 +4,11 @@ import type {
 	ScheduledController,
 	MessageBatch,
 	ForwardableEmailMessage,
-	TraceItem
+	TraceItem,
+	DurableObjectNamespace,
+	DurableObjectStub,
+	DurableObjectListOptions,
+	SqlStorageValue
 } from '@cloudflare/workers-types';
 
 export interface CloudflareWorkerOptions {
@@ -18,22 +22,101 @@ export interface CloudflareWorkerOptions {
 	 * @default false
 	 */
 	verbose?: boolean;
+	/**
+	 * Wrangler environment (`env.<name>` in the wrangler config) used by `vite dev`, `vite build`
+	 * and `vite preview`, like `wrangler --env <name>`. Defaults to `CLOUDFLARE_ENV`, which is
+	 * also read from `.env` files.
+	 */
+	wranglerEnv?: string;
+	/**
+	 * Other workers to run next to the SvelteKit worker in `vite dev` and `vite preview`, so service
+	 * bindings, Durable Object bindings with a `script_name` and RPC to named `WorkerEntrypoint`s
+	 * resolve locally. Each entry is a wrangler config (`.json`, `.jsonc`, `.toml`) or a worker
+	 * entry file, which runs as the worker named after the file (`auth` for `src/auth.ts`) with
+	 * the main worker's compatibility settings.
+	 */
+	auxiliaryWorkers?: string[];
+	/**
+	 * Paths handled by the worker's `fetch` on Cloudflare Pages, in `_routes.json` syntax
+	 * (`/api/*`). They're added to the `include` rules of the adapter's `_routes.json`, and the
+	 * `exclude` rules overlapping them are dropped, so these requests reach the worker.
+	 */
+	pagesRoutes?: string[];
+	/**
+	 * Trace every handler invocation in dev and build. Responses get a `Server-Timing` header
+	 * splitting the time spent in your worker from the fall-through (`sveltekit`, `asset` or
+	 * `cache`), and each invocation logs one JSON line with its handler, outcome and timings.
+	 * With `kit.experimental.tracing.server` enabled, handlers also run in OpenTelemetry spans
+	 * (`worker.fetch`, `worker.scheduled`, ...) that SvelteKit's own spans nest under.
+	 *
+	 * Workers clocks only advance on I/O, so durations of pure computation read as 0.
+	 * @default false
+	 */
+	tracing?:
+		| boolean
+		| {
+				/** Add the `Server-Timing` header to responses. @default true */
+				serverTiming?: boolean;
+				/** Log one JSON line per handler invocation. @default true */
+				logs?: boolean;
+		  };
+	/**
+	 * Report the size of the worker after `vite build`, as wrangler deploys it: your worker,
+	 * the SvelteKit server, their largest dependencies and the modules imported by wrangler
+	 * rules, raw and gzipped. Pass `false` to turn the report and the budget check off.
+	 * @default true
+	 */
+	bundleSize?:
+		| boolean
+		| {
+				/**
+				 * Compressed size of the worker, in bytes, above which the build warns or fails.
+				 * Defaults to the limit of the Workers Free plan; the Paid plan allows 10 MiB.
+				 * @default 3 * 1024 * 1024
+				 */
+				budget?: number;
+				/** Whether a worker over budget makes the build warn or fail. @default 'warn' */
+				onExceed?: 'warn' | 'error';
+				/** Also write the report as JSON to this path, relative to the project root. */
+				json?: string;
+		  };
 }
 
 /**
- * Vite plugin that patches the SvelteKit adapter-cloudflare output
- * to support additional Cloudflare Worker exports.
+ * Vite plugin that composes the SvelteKit adapter-cloudflare output
+ * with additional Cloudflare Worker exports.
  *
- * In build mode: patches _worker.js after adapter-cloudflare generates it.
+ * In build mode: replaces _worker.js after adapter-cloudflare generates it with an
+ * entry that imports both the adapter worker and the user worker.
  * In dev mode: wraps @cloudflare/vite-plugin to run worker code in real workerd
  * with full Durable Object, Workflow, and binding support.
+ * In preview mode: runs the build output in workerd, like `wrangler dev`.
  */
 export function cloudflareWorker(options?: CloudflareWorkerOptions): Promise<Plugin[]>;
 
+export interface ProxyConfigOptions {
+	/**
+	 * Wrangler environment to take the bindings from. Defaults to the plugin's, which is
+	 * `CLOUDFLARE_ENV` unless set with its `wranglerEnv` option or in a `.env` file.
+	 */
+	wranglerEnv?: string;
+	/**
+	 * Path to the worker file relative to the project root, where the generated types look up
+	 * the Durable Object and Workflow classes. Set it like the plugin's `workerFile`.
+	 * @default 'src/worker.ts'
+	 */
+	workerFile?: string;
+}
+
 /**
- * Reads the wrangler config, adds `script_name` to Durable Object bindings
- * to suppress workerd startup warnings, writes to a temp file, and returns
- * the path to that file.
+ * Reads the wrangler config, adds `script_name` to the Durable Object bindings
+ * of this worker to suppress workerd startup warnings, writes to a temp file, and returns
+ * the path to that file. Bindings come from `options.wranglerEnv` (default:
+ * `CLOUDFLARE_ENV`) when set. Without `options.wranglerEnv`, the plugin writes the file
+ * again for the environment it resolves, since svelte.config.js loads before it does.
+ *
+ * It also writes the `App.Platform['env']` types, since svelte.config.js loads for
+ * `svelte-kit sync` too, before `vite dev` or `vite build` generate them.
  *
  * @example
  * ```js
@@ -50,50 +133,297 @@ export function cloudflareWorker(options?: CloudflareWorkerOptions): Promise<Plu
  * };
  * ```
  */
-export function proxyConfig(configPath?: string): Promise<string>;
+export function proxyConfig(configPath?: string, options?: ProxyConfigOptions): Promise<string>;
+
+export interface WorkerTestContextOptions {
+	/**
+	 * Path to the worker file relative to the project root.
+	 * @default 'src/worker.ts'
+	 */
+	workerFile?: string;
+	/**
+	 * Path to the wrangler config. Defaults to the one wrangler finds in the project root.
+	 */
+	wranglerConfig?: string;
+	/**
+	 * Wrangler environment to take the bindings from. Defaults to `CLOUDFLARE_ENV`.
+	 */
+	wranglerEnv?: string;
+	/**
+	 * Answers the requests that fall through to SvelteKit (`next()`, returning nothing from
+	 * `fetch`, `sveltekit.fetch`). Responds 404 by default.
+	 */
+	sveltekit?: (request: Request) => Response | Promise<Response>;
+}
+
+/**
+ * What a queue handler did with the batch, as reported by workerd.
+ */
+export interface WorkerTestQueueResult {
+	outcome: string;
+	ackAll: boolean;
+	retryBatch: { retry: boolean; delaySeconds?: number };
+	explicitAcks: string[];
+	retryMessages: { msgId: string; delaySeconds?: number }[];
+}
+
+/**
+ * What an email handler did with the message.
+ */
+export interface WorkerTestEmailResult {
+	outcome: 'ok' | 'exception';
+	error?: string;
+	from: string;
+	to: string;
+	rejected: string | null;
+	forwarded: { rcptTo: string; headers: Record<string, string> }[];
+	replies: { from: string; to: string }[];
+}
+
+/**
+ * Reads and writes the storage of a Durable Object instance, bypassing its methods.
+ */
+export interface WorkerTestStorage {
+	get<T = unknown>(key: string): Promise<T | undefined>;
+	put<T>(key: string, value: T): Promise<void>;
+	delete(key: string): Promise<boolean>;
+	list<T = unknown>(options?: DurableObjectListOptions): Promise<Map<string, T>>;
+	/** Runs a query on a SQLite-backed Durable Object and returns all rows. */
+	sql<T = Record<string, SqlStorageValue>>(query: string, ...bindings: unknown[]): Promise<T[]>;
+}
+
+export interface WorkerTestContext<Env = App.Platform['env']> {
+	/** The worker's bindings. */
+	env: Env;
+	/** Sends a request to the worker. Relative URLs resolve against `http://localhost`. */
+	fetch(input: RequestInfo | URL, init?: RequestInit): Promise<Response>;
+	/** Triggers the `scheduled` handler (or the `crons` map). */
+	scheduled(options?: {
+		cron?: string;
+		scheduledTime?: Date;
+	}): Promise<{ outcome: string; noRetry: boolean }>;
+	/** Delivers a batch with one message per body to the `queue` handler (or the `queues` map). */
+	queue<Body = unknown>(queue: string, bodies: Body[]): Promise<WorkerTestQueueResult>;
+	/** Delivers a raw RFC 822 message to the `email` handler. `from`/`to` default to its headers. */
+	email(message: {
+		raw: string | Uint8Array;
+		from?: string;
+		to?: string;
+	}): Promise<WorkerTestEmailResult>;
+	/** Gets the stub of the Durable Object instance named `name`. */
+	durableObject<Binding extends keyof Env & string>(
+		binding: Binding,
+		name: string
+	): Promise<
+		Env[Binding] extends DurableObjectNamespace<infer T> ? DurableObjectStub<T> : DurableObjectStub
+	>;
+	/** Accesses the storage of the Durable Object instance named `name`. */
+	storage(binding: keyof Env & string, name: string): WorkerTestStorage;
+	/** Shuts down the runtime. */
+	dispose(): Promise<void>;
+}
+
+/**
+ * Boots the worker file in Miniflare the way `vite dev` runs it, to test its handlers from
+ * Node (e.g. vitest). Uses the local bindings from the wrangler config with in-memory storage,
+ * and never touches the network. Requires `miniflare` to be installed.
+ *
+ * @example
+ * ```ts
+ * const worker = await createWorkerTestContext<Env>({
+ *   sveltekit: () => new Response('from SvelteKit')
+ * });
+ * const res = await worker.fetch('/api/do/increment');
+ * expect(await worker.storage('MY_DO', 'demo').get('count')).toBe(1);
+ * await worker.dispose();
+ * ```
+ */
+export function createWorkerTestContext<Env = App.Platform['env']>(
+	options?: WorkerTestContextOptions
+): Promise<WorkerTestContext<Env>>;
+
+/**
+ * How `next()` uses the edge cache (`caches.default`) that adapter-cloudflare keeps for
+ * SvelteKit responses:
+ * - `'bypass'`: neither look the request up nor store the response
+ * - `{ key, ttl }`: look the response up and store it under `key` instead of the request URL,
+ *   for `ttl` seconds instead of what its `Cache-Control` allows. A `key` that isn't a URL
+ *   (`products:${tenant}`) is its own entry, removed with `purge` from
+ *   `sveltekit-cloudflare-worker/cache`.
+ */
+export type WorkerNextCache = 'bypass' | { key?: string | URL; ttl?: number };
+
+/**
+ * Options for `next()`: a `RequestInit` applied over the request, plus `locals` and `cache`.
+ */
+export interface WorkerNextInit extends Omit<RequestInit, 'cache'> {
+	/**
+	 * Data computed by the worker middleware (auth, tenant, ...) for SvelteKit. Merged into
+	 * `event.locals` by the `workerLocals` hook from `sveltekit-cloudflare-worker/hooks`.
+	 * The built worker hands it over as is. In dev, where SvelteKit runs outside workerd, it is
+	 * sent as a request header, so it must be JSON-serializable there and should stay small.
+	 */
+	locals?: Partial<App.Locals>;
+	/**
+	 * Bypass the adapter's edge cache, or cache the response under another key or TTL.
+	 * `RequestInit` values (`'no-store'`) still apply to the request itself.
+	 */
+	cache?: RequestInit['cache'] | WorkerNextCache;
+}
+
+/**
+ * Invokes SvelteKit, with the same arguments as `new Request(input, init)`. Pass a `Request`
+ * to rewrite the URL, headers or body SvelteKit sees, and/or a `WorkerNextInit` to override
+ * parts of the request (its `headers` are merged into the existing ones) or pass `locals`.
+ * Without arguments the incoming request is forwarded unchanged.
+ */
+export type WorkerNext = (
+	input?: Request | WorkerNextInit,
+	init?: WorkerNextInit
+) => Promise<Response>;
 
 /**
  * Fetch handler that acts as middleware before SvelteKit.
  * Return a Response to short-circuit, or return nothing to fall through to SvelteKit.
  * Call `next()` to invoke SvelteKit and optionally transform its response.
+ * When falling through after calling `next()`, the response of the last call is used.
  */
 export type WorkerFetch<Env = App.Platform['env']> = (
 	request: Request,
 	env: Env,
 	ctx: ExecutionContext,
-	next: () => Promise<Response>
+	next: WorkerNext
 ) => Response | void | Promise<Response | void>;
 
+/**
+ * Lets handlers other than `fetch` render SvelteKit routes, e.g. to pre-warm the cache,
+ * build a sitemap, or render a `+server.ts` endpoint into an email body.
+ * Passed as the last argument to `scheduled`, `queue`, `email`, `tail` and `trace` handlers.
+ */
+export interface SvelteKit {
+	/**
+	 * Render a request through SvelteKit, as if it had fallen through the worker `fetch`.
+	 * Relative URLs resolve against `http://localhost`; pass an absolute URL to control
+	 * `url.origin` in SvelteKit.
+	 */
+	fetch(input: RequestInfo | URL, init?: RequestInit): Promise<Response>;
+}
+
 export type WorkerScheduled<Env = App.Platform['env']> = (
 	controller: ScheduledController,
 	env: Env,
-	ctx: ExecutionContext
+	ctx: ExecutionContext,
+	sveltekit: SvelteKit
 ) => void | Promise<void>;
 
 export type WorkerQueue<Env = App.Platform['env'], Message = unknown> = (
 	batch: MessageBatch<Message>,
 	env: Env,
-	ctx: ExecutionContext
+	ctx: ExecutionContext,
+	sveltekit: SvelteKit
 ) => void | Promise<void>;
 
+/**
+ * Scheduled handlers keyed by cron expression. Each trigger is routed to the handler
+ * matching `controller.cron`; a plain `scheduled` export, if any, handles the remaining crons.
+ * Keys must match `triggers.crons` in the wrangler config exactly.
+ *
+ * @example
+ * ```ts
+ * export const crons: WorkerCrons<Env> = {
+ *   '0 * * * *': hourly,
+ *   '0 3 * * *': nightly
+ * };
+ * ```
+ */
+export type WorkerCrons<Env = App.Platform['env']> = Record<string, WorkerScheduled<Env>>;
+
+/**
+ * Queue consumers keyed by queue name. Each `MessageBatch` is routed to the handler
+ * matching `batch.queue`; a plain `queue` export, if any, handles the remaining queues.
+ *
+ * @example
+ * ```ts
+ * export const queues: WorkerQueues<Env, { emails: EmailJob; thumbnails: ThumbnailJob }> = {
+ *   emails: async (batch, env) => { ... },
+ *   thumbnails: async (batch, env) => { ... }
+ * };
+ * ```
+ */
+export type WorkerQueues<
+	Env = App.Platform['env'],
+	Messages extends Record<string, unknown> = Record<string, unknown>
+> = {
+	[Queue in keyof Messages]: WorkerQueue<Env, Messages[Queue]>;
+};
+
 export type WorkerEmail<Env = App.Platform['env']> = (
 	message: ForwardableEmailMessage,
 	env: Env,
-	ctx: ExecutionContext
+	ctx: ExecutionContext,
+	sveltekit: SvelteKit
 ) => void | Promise<void>;
 
 export type WorkerTail<Env = App.Platform['env']> = (
 	events: TraceItem[],
 	env: Env,
-	ctx: ExecutionContext
+	ctx: ExecutionContext,
+	sveltekit: SvelteKit
 ) => void | Promise<void>;
 
 export type WorkerTrace<Env = App.Platform['env']> = (
 	traces: TraceItem[],
 	env: Env,
-	ctx: ExecutionContext
+	ctx: ExecutionContext,
+	sveltekit: SvelteKit
 ) => void | Promise<void>;
 
 export type WorkerTailStream<Env = App.Platform['env']> = (
 	event: TailStream.TailEvent<TailStream.Onset>
 ) => TailStream.TailEventHandlerType | Promise<TailStream.TailEventHandlerType>;
+
+/**
+ * What `onError` receives along with the error.
+ */
+export interface WorkerErrorContext<Env = App.Platform['env']> {
+	/** The handler that threw. Errors of the `crons` and `queues` maps are reported as theirs. */
+	handler: 'fetch' | 'scheduled' | 'queue' | 'email' | 'tail' | 'trace' | 'tailStream';
+	/** The incoming request, when `handler` is `fetch`. */
+	request?: Request;
+	env: Env;
+	ctx: ExecutionContext;
+}
+
+/**
+ * Receives the errors thrown by every handler of the worker file.
+ * For `fetch`, return a Response to send it, or nothing to fall through to SvelteKit with the
+ * error (rethrown by the `workerError` hook into `handleError`, or answered with a 500 without the
+ * hook). For the other handlers the error is rethrown once `onError` returns, so the invocation
+ * still fails.
+ */
+export type WorkerOnError<Env = App.Platform['env']> = (
+	error: unknown,
+	context: WorkerErrorContext<Env>
+) => Response | void | Promise<Response | void>;
+
+/**
+ * Handlers of a default-exported worker object. `fetch` runs before SvelteKit like the
+ * named `fetch` export; the other handlers also receive the `sveltekit` helper.
+ *
+ * @example
+ * ```ts
+ * export default {
+ *   fetch: async (request, env, ctx, next) => { ... },
+ *   scheduled: async (controller, env) => { ... }
+ * } satisfies WorkerHandlers<Env>;
+ * ```
+ */
+export interface WorkerHandlers<Env = App.Platform['env']> {
+	fetch?: WorkerFetch<Env>;
+	scheduled?: WorkerScheduled<Env>;
+	queue?: WorkerQueue<Env>;
+	email?: WorkerEmail<Env>;
+	tail?: WorkerTail<Env>;
+	trace?: WorkerTrace<Env>;
+	tailStream?: WorkerTailStream<Env>;
+}
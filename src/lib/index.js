@@ -1,7 +1,61 @@
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import {
+	copyFileSync,
+	existsSync,
+	readFileSync,
+	writeFileSync,
+	mkdirSync,
+	rmSync,
+	statSync
+} from 'node:fs';
 import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { loadEnv, normalizePath, parseAst } from 'vite';
+import { CACHE_KEY_ORIGIN } from './cache.js';
+import { ERROR_HEADER, LOCALS_HEADER, LOCALS_KEY } from './hooks.js';
+import {
+	DISPATCH_MAPS,
+	ERROR_HOOK,
+	KNOWN_HANDLERS,
+	classifyExports,
+	exportWarnings,
+	isBuildingForPages,
+	validateExports
+} from './worker-exports.js';
+import { checkBundleSize, measureWorker, resolveBundleSize } from './bundle-size.js';
+import {
+	escapeRegExp,
+	matchModuleRule,
+	moduleRules,
+	nodeBuiltin,
+	nodeBuiltinMessage,
+	nodeCompatModules
+} from './worker-modules.js';
 
-const KNOWN_HANDLERS = ['fetch', 'scheduled', 'queue', 'email', 'tail', 'trace', 'tailStream'];
+// Handlers that receive a `sveltekit` helper as their last argument to render routes outside fetch
+const SVELTEKIT_HANDLERS = ['scheduled', 'queue', 'email', 'tail', 'trace'];
+
+/** First line of the entry written over `_worker.js`, marking it as already composed. */
+const COMPOSED_HEADER = '// Composed by sveltekit-cloudflare-worker';
+
+/** Where the adapter's `_worker.js` is moved to, next to it, before composing. */
+const SVELTEKIT_WORKER_FILE = '_sveltekit-worker.js';
+
+/** Path prefix of the dev-only routes that trigger `scheduled`, `queue` and `email` handlers. */
+const WORKER_EVENTS_PATH = '/__worker/';
+
+/** The WeakMap the `workerLocals` hook reads the `locals` of `next()` from, by request. */
+const LOCALS_WEAKMAP = `const __locals = (globalThis[Symbol.for(${JSON.stringify(LOCALS_KEY)})] ??= new WeakMap());`;
+
+/** Import of the OpenTelemetry API used for spans, shared with SvelteKit's own tracing. */
+/**
+ * `Symbol.for` key of the last `proxyConfig` call, so the plugin can write the proxy file again
+ * once it knows the wrangler environment. svelte.config.js may load another copy of this module.
+ */
+const PROXY_CONFIG_KEY = 'sveltekit-cloudflare-worker.proxyConfig';
+
+const OPENTELEMETRY_IMPORT =
+	"import { trace as __otelTrace, SpanStatusCode as __SpanStatusCode } from '@opentelemetry/api';";
 
 /**
  * @param {import('./index.js').CloudflareWorkerOptions} [options]
@@ -10,6 +64,7 @@ const KNOWN_HANDLERS = ['fetch', 'scheduled', 'queue', 'email', 'tail', 'trace',
 export async function cloudflareWorker(options = {}) {
 	const workerFile = options.workerFile ?? 'src/worker.ts';
 	const verbose = options.verbose ?? false;
+	const auxiliaryWorkers = resolveAuxiliaryWorkers(options.auxiliaryWorkers ?? []);
 	const log = verbose
 		? (...args) => console.log('[sveltekit-cloudflare-worker]', ...args)
 		: () => {};
@@ -42,53 +97,441 @@ export async function cloudflareWorker(options = {}) {
 				// Don't return config — mutate in place only.
 				// Returning it causes defu() to merge the object with itself,
 				// duplicating arrays like migrations.
-			}
+			},
+			auxiliaryWorkers: auxiliaryWorkers.map((worker) =>
+				'configPath' in worker
+					? { configPath: worker.configPath }
+					: {
+							config: (_config, { entryWorkerConfig }) => ({
+								name: worker.name,
+								main: worker.entry,
+								compatibility_date: entryWorkerConfig.compatibility_date,
+								compatibility_flags: entryWorkerConfig.compatibility_flags
+							})
+						}
+			)
 		});
-		// Filter cloudflare plugins to only run in dev
-		cfPlugins = cfPlugins.map((p) => ({ ...p, apply: 'serve' }));
+		// Filter cloudflare plugins to only run in dev, preview runs the build output instead
+		cfPlugins = cfPlugins.map((p) => ({ ...p, apply: isDevServer }));
 	} catch (e) {
 		const isNotFound = e?.code === 'ERR_MODULE_NOT_FOUND' || e?.code === 'MODULE_NOT_FOUND';
 		if (!isNotFound) throw e;
 		// @cloudflare/vite-plugin not installed — dev mode without workerd
 	}
 
+	/** @type {string} */
+	let root;
+	/** @type {DetectedExports | undefined} */
+	let detected;
+	/** @type {import('wrangler').Unstable_Config | undefined} */
+	let wranglerConfig;
+	/** @type {WorkerResolve | undefined} */
+	let workerResolve;
+	/** @type {string | undefined} */
+	let wranglerEnv;
+	/** @type {Tracing | undefined} */
+	let tracing;
+
+	// The update of the exports after a change, shared by the worker environments
+	let exportsUpdate = { key: '', changed: Promise.resolve(false) };
+
+	/**
+	 * Detect the exports again after a change and write a new dev entry if they changed. Runs
+	 * once per change for all worker environments, and after the update of the previous change.
+	 * @param {string} key The changed file and the update's timestamp
+	 * @param {import('vite').Logger} logger
+	 * @returns {Promise<boolean>} Whether the exports changed
+	 */
+	const updateExports = (key, logger) => {
+		if (exportsUpdate.key === key) return exportsUpdate.changed;
+		const changed = exportsUpdate.changed.then(async () => {
+			if (!detected || !workerResolve) return false;
+			/** @type {DetectedExports} */
+			let next;
+			try {
+				next = await detectExports(path.resolve(root, workerFile), workerResolve, wranglerConfig);
+			} catch (e) {
+				// Most likely a half-written file — keep the current entry until it parses
+				logger.warn(
+					`[sveltekit-cloudflare-worker] Keeping the current worker entry: ${e.message}`,
+					{
+						timestamp: true
+					}
+				);
+				return false;
+			}
+
+			const { added, removed } = diffExports(detected, next);
+			const warnings = exportWarnings(workerFile, next);
+			const newWarnings = warnings.join() !== exportWarnings(workerFile, detected).join();
+			detected = next;
+
+			if (newWarnings) {
+				warnExports(warnings, (message) => logger.warn(message, { timestamp: true }));
+			}
+			if (added.length === 0 && removed.length === 0) return false;
+
+			logger.info(
+				'[sveltekit-cloudflare-worker] Worker exports changed:' +
+					(added.length ? ` added [${added.join(', ')}]` : '') +
+					(removed.length ? ` removed [${removed.join(', ')}]` : '') +
+					', reloading the worker...',
+				{ timestamp: true }
+			);
+			generateDevEntry(root, workerFile, next, log, tracing);
+			return true;
+		});
+		exportsUpdate = { key, changed };
+		return changed;
+	};
+
 	// Plugin that generates the dev entry file early in the config phase
 	/** @type {import('vite').Plugin} */
 	const devSetupPlugin = {
 		name: 'sveltekit-cloudflare-worker:dev-setup',
-		apply: 'serve',
+		apply: isDevServer,
 		// Use enforce: 'pre' to run our config hook before cloudflare's
 		enforce: 'pre',
-		async config(userConfig) {
-			const root = userConfig.root ? path.resolve(userConfig.root) : process.cwd();
+		async config(userConfig, { mode }) {
+			root = userConfig.root ? path.resolve(userConfig.root) : process.cwd();
+			// Before cloudflare's config hook, which reads CLOUDFLARE_ENV
+			wranglerEnv = await resolveWranglerEnv(options.wranglerEnv, mode, root);
 			const workerPath = path.resolve(root, workerFile);
 
 			if (!existsSync(workerPath)) {
 				return;
 			}
 
-			const exports = await detectExports(workerPath);
-			devEntryPath = generateDevEntry(root, workerFile, exports, log);
+			workerResolve = await resolveWorkerImports(root, userConfig, mode);
+			tracing = await resolveTracing(options.tracing, root);
+			// Before detecting exports, the compatibility flags decide how `node:*` imports resolve
+			wranglerConfig = await loadWranglerConfig(log, wranglerEnv);
+			detected = await detectExports(workerPath, workerResolve, wranglerConfig);
+			warnExports(exportWarnings(workerFile, detected), console.warn);
+			devEntryPath = generateDevEntry(root, workerFile, detected, log, tracing);
+			if (wranglerConfig) {
+				generateEnvTypes(root, workerFile, detected, wranglerConfig, log);
+				warnProblems(validateExports(workerFile, detected, wranglerConfig));
+			}
+		},
+		configResolved(config) {
+			logWranglerEnv(config.logger, wranglerEnv, log);
+		},
+		configureServer(server) {
+			if (!detected) return;
+
+			server.watcher.add(detected.files);
+
+			// Keep the generated env types and diagnostics in sync with the wrangler config
+			const wranglerConfigPath =
+				wranglerConfig?.configPath && path.resolve(wranglerConfig.configPath);
+			if (wranglerConfigPath) {
+				server.watcher.add(wranglerConfigPath);
+				server.watcher.on('change', async (file) => {
+					if (path.resolve(file) !== wranglerConfigPath || !detected) return;
+					wranglerConfig = await loadWranglerConfig(log, wranglerEnv);
+					if (!wranglerConfig) return;
+					generateEnvTypes(root, workerFile, detected, wranglerConfig, log);
+					warnProblems(validateExports(workerFile, detected, wranglerConfig));
+				});
+			}
+		},
+		// Re-classify exports whenever the worker file or one of its imports changes. A change in
+		// the export shape (new DO class, new handler) needs a new entry, which is written before
+		// Vite propagates the update and joins it, so the worker picks it up in that single update.
+		// @cloudflare/vite-plugin restarts the server itself when the exported classes change.
+		// Changes that keep the same exports are left to Vite's module invalidation.
+		async hotUpdate({ file, modules, timestamp }) {
+			if (!isWorkerEnvironment(this.environment) || !detected?.files.includes(path.resolve(file))) {
+				return;
+			}
+			const logger = this.environment.config.logger;
+			if (!(await updateExports(`${file}:${timestamp}`, logger))) return;
+			const entry = this.environment.moduleGraph.getModulesByFile(normalizePath(devEntryPath));
+			return [...modules, ...(entry ?? [])];
+		},
+		// Give the worker environment the same $env modules as the build, and reject the
+		// SvelteKit modules that only make sense inside the app. Vite's own alias plugin
+		// already applies $lib, kit.alias and resolve.alias to every environment.
+		async resolveId(id, importer, options) {
+			if (!workerResolve || !isWorkerEnvironment(this.environment)) return;
+
+			// @cloudflare/vite-plugin only knows wrangler's default rules. Hand it the modules
+			// matched by the config's rules too, in the form its module fallback service loads.
+			const type = matchModuleRule(moduleRules(wranglerConfig), id);
+			if (type) {
+				const resolved = await this.resolve(id.replace(/\?.*$/, ''), importer, {
+					...options,
+					skipSelf: true
+				});
+				if (!resolved) return;
+				// Its own rules may have resolved a default extension already
+				const file = resolved.id.replace(CLOUDFLARE_MODULE_REFERENCE, '$1');
+				return { id: `__CLOUDFLARE_MODULE__${type}__${file}__CLOUDFLARE_MODULE__`, external: true };
+			}
+
+			const module = svelteKitModule(id);
+			if (!module) return;
+			if (!ENV_MODULES.includes(module)) {
+				this.error(unsupportedModuleMessage(module, workerFile));
+			}
+			return `\0sveltekit-cloudflare-worker:${module}`;
+		},
+		load(id) {
+			if (!workerResolve || !id.startsWith('\0sveltekit-cloudflare-worker:$env/')) return;
+			return envModule(id.slice('\0sveltekit-cloudflare-worker:'.length), workerResolve.env);
+		}
+	};
+
+	return [
+		devSetupPlugin,
+		...cfPlugins,
+		buildPlugin(
+			workerFile,
+			options.wranglerEnv,
+			options.tracing,
+			options.pagesRoutes ?? [],
+			resolveBundleSize(options.bundleSize),
+			log
+		),
+		previewPlugin(options.wranglerEnv, auxiliaryWorkers, log)
+	];
+}
+
+/**
+ * @typedef {{ configPath: string } | { entry: string, name: string }} AuxiliaryWorker
+ */
+
+/**
+ * @typedef {{ serverTiming: boolean, logs: boolean, opentelemetry: boolean }} Tracing
+ */
+
+/**
+ * Resolve the `tracing` option. Spans are emitted when SvelteKit's own server tracing is on
+ * (`kit.experimental.tracing.server`), so they reach the provider `instrumentation.server.js`
+ * registers, next to SvelteKit's spans.
+ * @param {import('./index.js').CloudflareWorkerOptions['tracing']} option
+ * @param {string} root
+ * @returns {Promise<Tracing | undefined>}
+ */
+async function resolveTracing(option, root) {
+	if (!option) return undefined;
+	const kit = await loadKitConfig(root);
+	return {
+		serverTiming: option === true || option.serverTiming !== false,
+		logs: option === true || option.logs !== false,
+		opentelemetry: !!kit.experimental?.tracing?.server
+	};
+}
+
+/**
+ * Sort the `auxiliaryWorkers` option into wrangler configs (`.json`, `.jsonc`, `.toml`) and
+ * entry files. An entry file runs as the worker named after its file, `auth` for `src/auth.ts`.
+ * @param {string[]} files
+ * @returns {AuxiliaryWorker[]}
+ */
+function resolveAuxiliaryWorkers(files) {
+	return files.map((file) =>
+		/\.(jsonc?|toml)$/.test(file)
+			? { configPath: file }
+			: { entry: file, name: path.basename(file, path.extname(file)) }
+	);
+}
+
+/**
+ * `apply` for the dev-only plugins: `vite dev`, but not `vite preview` (also a `serve` command)
+ * or the server Vitest runs tests in, which use `createWorkerTestContext` instead.
+ * @param {import('vite').UserConfig} _config
+ * @param {import('vite').ConfigEnv} env
+ * @returns {boolean}
+ */
+function isDevServer(_config, env) {
+	return env.command === 'serve' && !env.isPreview && !process.env.VITEST;
+}
+
+/**
+ * Pick the wrangler environment: the `wranglerEnv` option, else `CLOUDFLARE_ENV` from the process
+ * or the mode's `.env` files, as `@cloudflare/vite-plugin` reads it. The choice is written back to
+ * `CLOUDFLARE_ENV`, where the adapter and wrangler read it, so they use the same environment.
+ *
+ * svelte.config.js, and so `proxyConfig`, loads before this runs. Unless it was given an
+ * environment, the proxy file is written again for this one; the adapter only reads it on the
+ * first request.
+ * @param {string | undefined} option
+ * @param {string} mode
+ * @param {string} root
+ * @returns {Promise<string | undefined>}
+ */
+async function resolveWranglerEnv(option, mode, root) {
+	const wranglerEnv = option || loadEnv(mode, root, 'CLOUDFLARE_').CLOUDFLARE_ENV || undefined;
+	if (wranglerEnv) {
+		process.env.CLOUDFLARE_ENV = wranglerEnv;
+	}
+
+	/** @type {{ configPath?: string, wranglerEnv?: string, pinned: boolean } | undefined} */
+	const proxy = /** @type {any} */ (globalThis)[Symbol.for(PROXY_CONFIG_KEY)];
+	if (proxy && !proxy.pinned && proxy.wranglerEnv !== wranglerEnv) {
+		proxy.wranglerEnv = wranglerEnv;
+		writeProxyConfig(await readWranglerConfig(proxy.configPath, wranglerEnv), wranglerEnv);
+	}
+	return wranglerEnv;
+}
+
+/**
+ * State which wrangler environment is used. Printed unless it's the top-level config.
+ * @param {{ info(message: string): void }} logger
+ * @param {string | undefined} wranglerEnv
+ * @param {(...args: any[]) => void} log
+ */
+function logWranglerEnv(logger, wranglerEnv, log) {
+	if (wranglerEnv) {
+		logger.info(`[sveltekit-cloudflare-worker] Using wrangler environment "${wranglerEnv}"`);
+	} else {
+		log('Using the top-level wrangler config (no environment)');
+	}
+}
+
+/**
+ * Preview-mode plugin: runs the composed build output in workerd the way `wrangler dev` does,
+ * with the wrangler config's bindings, and proxies every request of the preview server to it.
+ * Auxiliary workers run from source next to it and are reached through wrangler's dev registry.
+ * @param {string | undefined} wranglerEnvOption
+ * @param {AuxiliaryWorker[]} auxiliaryWorkers
+ * @param {(...args: any[]) => void} log
+ * @returns {import('vite').Plugin}
+ */
+function previewPlugin(wranglerEnvOption, auxiliaryWorkers, log) {
+	/** @type {Awaited<ReturnType<typeof import('wrangler').unstable_startWorker>>[]} */
+	const workers = [];
+	/** @type {string | undefined} */
+	let wranglerEnv;
+
+	return {
+		name: 'sveltekit-cloudflare-worker:preview',
+		apply: (_config, env) => !!env.isPreview,
+
+		async config(userConfig, { mode }) {
+			const root = userConfig.root ? path.resolve(userConfig.root) : process.cwd();
+			wranglerEnv = await resolveWranglerEnv(wranglerEnvOption, mode, root);
+			const wranglerConfig = await readWranglerConfig(undefined, wranglerEnv);
+			const workerDest = findWorkerDest(root, wranglerConfig);
+			if (!existsSync(workerDest)) {
+				throw new Error(
+					`[sveltekit-cloudflare-worker] ${path.relative(root, workerDest)} was not found. ` +
+						'Run `vite build` before `vite preview`.'
+				);
+			}
+
+			const { unstable_startWorker } = await import('wrangler');
+			const { getDefaultDevRegistryPath } = await import('miniflare');
+			const dev = {
+				server: { hostname: '127.0.0.1', port: 0 },
+				inspector: /** @type {const} */ (false),
+				watch: false,
+				// The registry `wrangler dev` uses, so bindings also reach workers run elsewhere
+				registry: getDefaultDevRegistryPath()
+			};
+
+			// Started first, so the bindings of the main worker find them in the dev registry
+			for (const auxiliary of auxiliaryWorkers) {
+				const aux = await unstable_startWorker(
+					'configPath' in auxiliary
+						? { config: path.resolve(root, auxiliary.configPath), env: wranglerEnv, dev }
+						: { config: writeAuxiliaryWorkerConfig(root, auxiliary, wranglerConfig), dev }
+				);
+				workers.push(aux);
+				log(`Running auxiliary worker ${aux.config.name} at ${(await aux.url).origin}`);
+			}
+
+			const worker = await unstable_startWorker({
+				config: wranglerConfig.configPath,
+				env: wranglerEnv,
+				// Pages serves its output directory to the worker as `env.ASSETS`
+				...(isBuildingForPages(wranglerConfig)
+					? {
+							entrypoint: statSync(workerDest).isDirectory()
+								? path.join(workerDest, 'index.js')
+								: workerDest,
+							assets: path.dirname(workerDest),
+							bindings: { ASSETS: { type: /** @type {const} */ ('assets') } }
+						}
+					: { entrypoint: workerDest }),
+				dev
+			});
+			workers.push(worker);
+			const url = await worker.url;
+			log(`Running ${path.relative(root, workerDest)} in workerd at ${url.origin}`);
+
+			return {
+				preview: {
+					proxy: { '/': { target: url.origin, ws: true } }
+				}
+			};
+		},
+
+		configResolved(config) {
+			logWranglerEnv(config.logger, wranglerEnv, log);
+		},
+
+		configurePreviewServer(server) {
+			server.httpServer.once('close', () => Promise.all(workers.map((worker) => worker.dispose())));
 		}
 	};
+}
 
-	return [devSetupPlugin, ...cfPlugins, buildPlugin(workerFile, log)];
+/**
+ * Write the wrangler config of an auxiliary entry file: its name and entry with the compatibility
+ * settings of the main worker. Without one, wrangler would look up the project's own config.
+ * @param {string} root
+ * @param {{ entry: string, name: string }} worker
+ * @param {import('wrangler').Unstable_Config} mainConfig
+ * @returns {string} Path to the written config
+ */
+function writeAuxiliaryWorkerConfig(root, worker, mainConfig) {
+	const dir = path.resolve(root, '.svelte-kit/cloudflare-worker/auxiliary');
+	mkdirSync(dir, { recursive: true });
+	const configPath = path.join(dir, `${worker.name}.json`);
+	const config = {
+		name: worker.name,
+		main: path.resolve(root, worker.entry),
+		compatibility_date: mainConfig.compatibility_date,
+		compatibility_flags: mainConfig.compatibility_flags
+	};
+	writeFileSync(configPath, JSON.stringify(config, null, '\t'));
+	return configPath;
 }
 
 /**
- * Build-mode plugin: patches _worker.js after adapter-cloudflare generates it.
+ * Build-mode plugin: composes _worker.js with the user worker after adapter-cloudflare generates it.
  * @param {string} workerFile
+ * @param {string | undefined} wranglerEnvOption
+ * @param {import('./index.js').CloudflareWorkerOptions['tracing']} tracingOption
+ * @param {string[]} pagesRoutes
+ * @param {import('./bundle-size.js').BundleSize | undefined} bundleSize
  * @param {(...args: any[]) => void} log
  * @returns {import('vite').Plugin}
  */
-function buildPlugin(workerFile, log) {
+function buildPlugin(workerFile, wranglerEnvOption, tracingOption, pagesRoutes, bundleSize, log) {
 	/** @type {string} */
 	let root;
+	/** @type {WorkerResolve} */
+	let workerResolve;
+	/** @type {string | undefined} */
+	let wranglerEnv;
+	/** @type {Tracing | undefined} */
+	let tracing;
 
 	return {
 		name: 'sveltekit-cloudflare-worker:build',
 		apply: 'build',
 
+		async config(userConfig, { mode }) {
+			const configRoot = userConfig.root ? path.resolve(userConfig.root) : process.cwd();
+			wranglerEnv = await resolveWranglerEnv(wranglerEnvOption, mode, configRoot);
+			workerResolve = await resolveWorkerImports(configRoot, userConfig, mode);
+			tracing = await resolveTracing(tracingOption, configRoot);
+		},
+
 		configResolved(config) {
 			root = config.root;
 		},
@@ -97,78 +540,269 @@ function buildPlugin(workerFile, log) {
 			sequential: true,
 			order: 'post',
 			async handler() {
+				// The adapter writes _worker.js when the SSR build closes; the client build
+				// closes first and may only see the output of a previous build.
+				if (this.environment && this.environment.name !== 'ssr') {
+					return;
+				}
+
+				logWranglerEnv(this.environment?.logger ?? console, wranglerEnv, log);
+
 				const workerPath = path.resolve(root, workerFile);
 				if (!existsSync(workerPath)) {
 					return;
 				}
 
-				const workerDest = await findWorkerDest(root, log);
+				const wranglerConfig = await loadWranglerConfig(log, wranglerEnv);
+				const pages = isBuildingForPages(wranglerConfig);
+				const workerDest = findWorkerDest(root, wranglerConfig);
+				const workerDestName = path.relative(root, workerDest);
 				if (!existsSync(workerDest)) {
-					return;
+					throw new Error(
+						`[sveltekit-cloudflare-worker] ${workerDestName} was not found, so ${workerFile} can't be ` +
+							'added to it. Is @sveltejs/adapter-cloudflare configured as the SvelteKit adapter?'
+					);
 				}
 
-				// Check if already patched (avoid double-patching across multiple Vite builds)
-				const workerContent = readFileSync(workerDest, 'utf-8');
-				const exportPattern = /export\s*\{\s*worker_default\s+as\s+default\s*\}\s*;?\s*$/;
-				if (!exportPattern.test(workerContent)) {
+				// Composing twice would wrap our own entry (several Vite builds in one process).
+				// On Pages, the composed worker is a `_worker.js` directory.
+				const workerContent = statSync(workerDest).isDirectory()
+					? COMPOSED_HEADER
+					: readFileSync(workerDest, 'utf-8');
+				if (workerContent.startsWith(COMPOSED_HEADER)) {
+					log(`${workerDestName} is already composed with ${workerFile}, skipping.`);
 					return;
 				}
+				if (!hasDefaultExport(workerContent)) {
+					throw new Error(
+						`[sveltekit-cloudflare-worker] Can't compose ${workerFile} with ${workerDestName}: ` +
+							'it has no default export to fall through to. Was it generated by @sveltejs/adapter-cloudflare?'
+					);
+				}
 
-				// Bundle user worker and detect exports in one esbuild pass
-				const workerDestDir = path.dirname(workerDest);
-				const userWorkerDest = path.join(workerDestDir, '_user-worker.js');
+				// Pages serves every file of its output directory but `_worker.js`, so there the
+				// composed worker is a `_worker.js` directory that keeps its modules private
+				const modulesDir = pages ? workerDest : path.dirname(workerDest);
+				const userWorkerDest = path.join(modulesDir, '_user-worker.js');
 
+				/** @type {EmittedFiles} */
+				const emitted = { modules: new Map(), assets: new Map() };
 				const { build } = await import('esbuild');
+				// Bundle user worker and detect exports in one esbuild pass. The source map is linked
+				// with a `sourceMappingURL` comment, which wrangler's bundler follows, so the map it
+				// uploads with `upload_source_maps` leads back to the worker's sources.
 				const result = await build({
 					entryPoints: [workerPath],
+					outfile: userWorkerDest,
 					write: false,
+					// The metafile paths are relative to this, esbuild keeps the cwd it started in
+					absWorkingDir: process.cwd(),
 					metafile: true,
+					sourcemap: 'linked',
 					format: 'esm',
 					platform: 'browser',
 					bundle: true,
 					external: ['cloudflare:*'],
 					conditions: ['workerd'],
+					plugins: [esbuildResolvePlugin(workerResolve, workerFile, wranglerConfig, emitted)],
 					logLevel: 'warning'
 				});
 
-				const outputKey = Object.keys(result.metafile.outputs)[0];
-				const exports = classifyExports(result.metafile.outputs[outputKey].exports);
+				const outputKey = path.relative(process.cwd(), userWorkerDest);
+				const userWorker = result.outputFiles.find((file) => file.path === userWorkerDest);
+				const sourceMap = result.outputFiles.find((file) => file.path === `${userWorkerDest}.map`);
+				if (!userWorker || !sourceMap) {
+					throw new Error(`[sveltekit-cloudflare-worker] esbuild didn't output ${workerFile}.`);
+				}
+				const exports = classifyExports(
+					result.metafile.outputs[outputKey].exports,
+					userWorker.text,
+					workerFile
+				);
+				warnExports(exportWarnings(workerFile, exports), console.warn);
+
+				if (wranglerConfig) {
+					generateEnvTypes(root, workerFile, exports, wranglerConfig, log);
+
+					const { errors, warnings } = validateExports(workerFile, exports, wranglerConfig);
+					if (warnings.length > 0) {
+						console.warn(formatProblems(warnings));
+					}
+					if (errors.length > 0) {
+						throw new Error(formatProblems(errors));
+					}
+				}
 
-				if (exports.classes.length === 0 && exports.handlers.length === 0) {
+				if (!exports.hasDefault && exports.classes.length === 0 && exports.handlers.length === 0) {
 					log('No exports found in worker file, skipping.');
 					return;
 				}
 
-				// Write the bundled user worker
-				writeFileSync(userWorkerDest, result.outputFiles[0].text);
+				// Pages takes a `_worker.js` directory as it is, so the adapter worker is bundled into
+				// it with the SvelteKit server it imports from outside
+				const sveltekitWorker = pages ? await bundleAdapterWorker(workerDest) : workerContent;
+				if (pages) {
+					rmSync(workerDest);
+					mkdirSync(workerDest);
+				}
+
+				// Write the bundled user worker and its source map, with the modules it imports by
+				// wrangler rules next to it and the files it imports with `?url` among the static assets
+				writeFileSync(userWorkerDest, userWorker.text);
+				writeFileSync(sourceMap.path, sourceMap.text);
+				for (const [name, { file }] of emitted.modules) {
+					copyFileSync(file, path.join(modulesDir, name));
+				}
+				const assetsDest = findAssetsDir(root, wranglerConfig);
+				for (const [name, file] of emitted.assets) {
+					const dest = path.join(assetsDest, name);
+					mkdirSync(path.dirname(dest), { recursive: true });
+					copyFileSync(file, dest);
+				}
+				if (emitted.modules.size + emitted.assets.size > 0) {
+					log(
+						`Emitted ${emitted.modules.size} module(s) and ${emitted.assets.size} asset(s) imported by ${workerFile}`
+					);
+				}
 
-				// Patch _worker.js
-				const importLine = `import * as __userWorker from './_user-worker.js';\n`;
-				const exportBlock = buildExportBlock(exports);
-				const patched = importLine + workerContent.replace(exportPattern, exportBlock);
+				// Move the adapter's entry aside and replace it with one that imports both workers.
+				// The adapter worker is imported first so an instrumentation facade still runs
+				// before any other code.
+				writeFileSync(path.join(modulesDir, SVELTEKIT_WORKER_FILE), sveltekitWorker);
+				writeFileSync(
+					pages ? path.join(workerDest, 'index.js') : workerDest,
+					`${COMPOSED_HEADER}\n` +
+						`import worker_default from './${SVELTEKIT_WORKER_FILE}';\n` +
+						`import * as __userWorker from './_user-worker.js';\n\n` +
+						buildExportBlock(exports, workerFile, tracing)
+				);
 
-				writeFileSync(workerDest, patched);
+				if (pages) {
+					includePagesRoutes(path.dirname(workerDest), pagesRoutes, log);
+				} else {
+					ignoreAssets(modulesDir, [
+						SVELTEKIT_WORKER_FILE,
+						'_user-worker.js',
+						'_user-worker.js.map',
+						...emitted.modules.keys()
+					]);
+				}
 
 				log(
-					`Patched ${path.basename(workerDest)} with:` +
+					`Composed ${path.basename(workerDest)} with:` +
+						(exports.hasDefault ? ' default' : '') +
+						(exports.hasOnError ? ' onError' : '') +
 						(exports.handlers.length ? ` handlers=[${exports.handlers.join(', ')}]` : '') +
 						(exports.classes.length ? ` classes=[${exports.classes.join(', ')}]` : '')
 				);
+
+				if (bundleSize) {
+					const report = await measureWorker(
+						pages ? path.join(workerDest, 'index.js') : workerDest,
+						workerPath,
+						result.metafile,
+						esbuildResolvePlugin(workerResolve, workerFile, wranglerConfig),
+						!!wranglerConfig?.minify,
+						emitted.modules
+					).catch((e) => {
+						console.warn(`[sveltekit-cloudflare-worker] Couldn't measure the worker: ${e.message}`);
+					});
+					if (report) {
+						checkBundleSize(report, bundleSize, root, this.environment?.logger ?? console);
+					}
+				}
 			}
 		}
 	};
 }
 
+/**
+ * Bundle the adapter's `_worker.js` with the SvelteKit server and manifest it imports. Node
+ * built-ins stay imports, for wrangler to provide from the compatibility flags.
+ * @param {string} workerDest
+ * @returns {Promise<string>}
+ */
+async function bundleAdapterWorker(workerDest) {
+	const { build } = await import('esbuild');
+	const result = await build({
+		entryPoints: [workerDest],
+		write: false,
+		bundle: true,
+		format: 'esm',
+		platform: 'browser',
+		external: ['cloudflare:*'],
+		conditions: ['workerd'],
+		plugins: [
+			{
+				name: 'sveltekit-cloudflare-worker:node-builtins',
+				setup(build) {
+					build.onResolve({ filter: /^[^./]/ }, (args) => {
+						const module = nodeBuiltin(args.path);
+						if (module) return { path: `node:${module}`, external: true };
+					});
+				}
+			}
+		],
+		logLevel: 'warning'
+	});
+	return result.outputFiles[0].text;
+}
+
+/**
+ * Keep modules out of the static assets uploaded from the same directory by adding them
+ * to the `.assetsignore` the adapter writes there, if any.
+ * @param {string} dir
+ * @param {string[]} files
+ */
+function ignoreAssets(dir, files) {
+	const ignorePath = path.join(dir, '.assetsignore');
+	if (!existsSync(ignorePath)) return;
+	const content = readFileSync(ignorePath, 'utf-8');
+	const ignored = content.split('\n').map((line) => line.trim());
+	const missing = files.filter((file) => !ignored.includes(file));
+	if (missing.length > 0) {
+		const separator = content.endsWith('\n') ? '' : '\n';
+		writeFileSync(ignorePath, `${separator}${missing.join('\n')}\n`, { flag: 'a' });
+	}
+}
+
+/**
+ * Whether a module has a default export, e.g. the adapter's `export { worker_default as default }`
+ * or the `export { _0 as default }` of an instrumentation facade.
+ * @param {string} code
+ * @returns {boolean}
+ */
+function hasDefaultExport(code) {
+	/** @type {any} */
+	let ast;
+	try {
+		ast = parseAst(code);
+	} catch {
+		return false;
+	}
+
+	return ast.body.some(
+		(/** @type {any} */ node) =>
+			node.type === 'ExportDefaultDeclaration' ||
+			(node.type === 'ExportNamedDeclaration' &&
+				node.specifiers.some(
+					(/** @type {any} */ specifier) =>
+						(specifier.exported.name ?? specifier.exported.value) === 'default'
+				))
+	);
+}
+
 /**
  * Generate the dev entry file that re-exports DOs/Workflows from user's worker
  * and wraps fetch to fall through to SvelteKit via env.ASSETS.
  * @param {string} root
  * @param {string} workerFile
- * @param {{ handlers: string[], classes: string[] }} exports
+ * @param {WorkerExports} exports
  * @param {(...args: any[]) => void} log
+ * @param {Tracing} [tracing]
  * @returns {string} Absolute path to the generated entry file
  */
-function generateDevEntry(root, workerFile, exports, log) {
+function generateDevEntry(root, workerFile, exports, log, tracing) {
 	const dir = path.resolve(root, '.svelte-kit/cloudflare-worker');
 	mkdirSync(dir, { recursive: true });
 
@@ -182,6 +816,24 @@ function generateDevEntry(root, workerFile, exports, log) {
 	}
 	// Remove .ts extension for the import (Vite handles resolution)
 	importPath = importPath.replace(/\.ts$/, '');
+
+	writeFileSync(entryPath, devEntrySource(importPath, workerFile, exports, [], tracing));
+	log(`Generated dev entry at ${path.relative(root, entryPath)}`);
+
+	return entryPath;
+}
+
+/**
+ * Source of the dev entry. `createWorkerTestContext` bundles it too, passing the Durable Object
+ * classes to extend with a `__storage` RPC method so tests can read their storage.
+ * @param {string} importPath Import specifier of the user's worker
+ * @param {string} workerFile
+ * @param {WorkerExports} exports
+ * @param {string[]} [storageClasses]
+ * @param {Tracing} [tracing]
+ * @returns {string}
+ */
+function devEntrySource(importPath, workerFile, exports, storageClasses = [], tracing) {
 	// Escape special characters for safe string interpolation in generated code
 	const safeImportPath = importPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 
@@ -189,11 +841,27 @@ function generateDevEntry(root, workerFile, exports, log) {
 
 	// Import all from user's worker
 	lines.push(`import * as __userWorker from '${safeImportPath}';`);
+	if (tracing?.opentelemetry) {
+		lines.push(OPENTELEMETRY_IMPORT);
+	}
 	lines.push('');
 
 	// Re-export classes (DOs, Workflows, WorkerEntrypoints)
 	for (const cls of exports.classes) {
-		lines.push(`export { ${cls} } from '${safeImportPath}';`);
+		if (storageClasses.includes(cls)) {
+			lines.push(
+				`export class ${cls} extends __userWorker.${cls} {\n` +
+					`  __storage(method: string, args: any[]) {\n` +
+					`    const storage = (this as any).ctx?.storage;\n` +
+					`    if (!storage) throw new Error('${cls} does not extend DurableObject, its storage is not reachable');\n` +
+					`    if (method === 'sql') return storage.sql.exec(...args).toArray();\n` +
+					`    return storage[method](...args);\n` +
+					`  }\n` +
+					`}`
+			);
+		} else {
+			lines.push(`export { ${cls} } from '${safeImportPath}';`);
+		}
 	}
 
 	if (exports.classes.length > 0) {
@@ -202,16 +870,64 @@ function generateDevEntry(root, workerFile, exports, log) {
 
 	// Default export with all handlers
 	const hasFetch = exports.handlers.includes('fetch');
-	const otherHandlers = exports.handlers.filter((h) => h !== 'fetch');
+	const maps = dispatchMaps(exports);
+	const otherHandlers = plainHandlers(exports);
+	const fallthrough = (/** @type {string} */ request) =>
+		tracing
+			? `__traceFallthrough(${request}, env, ctx)`
+			: `__cacheFallthrough(${request}, env, ctx)`;
+
+	lines.push(cacheHelper('env.ASSETS.fetch(request)', false, true));
+	lines.push('');
+
+	if (tracing) {
+		lines.push(tracingHelper(tracing, '__cacheFallthrough(request, env, ctx)', false, true));
+		lines.push('');
+	}
+
+	if (usesSvelteKitHelper(exports)) {
+		lines.push(svelteKitHelper(fallthrough('request'), true));
+		lines.push('');
+	}
+
+	lines.push(nextRequestHelper(true, true));
+	lines.push('');
+
+	lines.push(workerEventsHelper());
+	lines.push('');
+
+	if (exports.hasOnError) {
+		lines.push(onErrorHelper(fallthrough('request'), true));
+		lines.push('');
+	}
+
+	if (exports.hasDefault) {
+		lines.push(
+			userDefaultExport(fallthrough('request'), true, true, exports.hasOnError, !!tracing)
+		);
+		lines.push('');
+		return lines.join('\n');
+	}
 
 	const defaultEntries = [];
 
+	const workerEvent = `    if (__isWorkerEvent(request)) return __workerEvent(request, (handler) => typeof __entry[handler] === 'function' ? (event) => __entry[handler](event, env, ctx) : undefined);\n`;
+
 	if (hasFetch) {
 		defaultEntries.push(
 			`  async fetch(request: Request, env: any, ctx: ExecutionContext): Promise<Response> {\n` +
+				workerEvent +
+				`    request = __incomingRequest(request);\n` +
 				`    let _nextResponse: Promise<Response> | undefined;\n` +
-				`    const next = () => { _nextResponse = env.ASSETS.fetch(request); return _nextResponse; };\n` +
-				`    const response = await __userWorker.fetch(request, env, ctx, next);\n` +
+				`    const next = (input?: Request | __NextInit, init?: __NextInit) => { _nextResponse = ${fallthrough('__nextRequest(request, input, init)')}; return _nextResponse; };\n` +
+				(exports.hasOnError
+					? `    let response: Response | void;\n` +
+						`    try {\n` +
+						`      response = await __userWorker.fetch(request, env, ctx, next);\n` +
+						`    } catch (error) {\n` +
+						`      return __fetchError(error, request, env, ctx);\n` +
+						`    }\n`
+					: `    const response = await __userWorker.fetch(request, env, ctx, next);\n`) +
 				`    if (response) return response;\n` +
 				`    return _nextResponse ?? next();\n` +
 				`  }`
@@ -219,38 +935,215 @@ function generateDevEntry(root, workerFile, exports, log) {
 	} else {
 		defaultEntries.push(
 			`  async fetch(request: Request, env: any, ctx: ExecutionContext): Promise<Response> {\n` +
-				`    return env.ASSETS.fetch(request);\n` +
+				workerEvent +
+				`    return ${fallthrough('__incomingRequest(request)')};\n` +
 				`  }`
 		);
 	}
 
 	for (const handler of otherHandlers) {
-		defaultEntries.push(`  ${handler}: __userWorker.${handler}`);
+		defaultEntries.push(handlerEntry(handler, true, exports.hasOnError));
+	}
+
+	for (const map of maps) {
+		defaultEntries.push(mapDispatch(map, exports, workerFile, true));
 	}
 
-	lines.push(`export default {`);
+	lines.push(`const __entry: Record<string, any> = ${tracing ? '__traceHandlers({' : '{'}`);
 	lines.push(defaultEntries.join(',\n'));
-	lines.push(`};`);
+	lines.push(tracing ? '});' : '};');
+	lines.push('');
+	lines.push(`export default __entry;`);
 
 	lines.push('');
 
-	writeFileSync(entryPath, lines.join('\n'));
-	log(`Generated dev entry at ${path.relative(root, entryPath)}`);
+	return lines.join('\n');
+}
 
-	return entryPath;
+/**
+ * Wrangler config keys holding a list of bindings, with the property naming
+ * each binding and the runtime type it gets in `env`.
+ * @type {[key: string, nameKey: string, type: string][]}
+ */
+const BINDING_LISTS = [
+	['kv_namespaces', 'binding', 'KVNamespace'],
+	['r2_buckets', 'binding', 'R2Bucket'],
+	['d1_databases', 'binding', 'D1Database'],
+	['services', 'binding', 'Fetcher'],
+	['analytics_engine_datasets', 'binding', 'AnalyticsEngineDataset'],
+	['vectorize', 'binding', 'VectorizeIndex'],
+	['hyperdrive', 'binding', 'Hyperdrive'],
+	['mtls_certificates', 'binding', 'Fetcher'],
+	['dispatch_namespaces', 'binding', 'DispatchNamespace'],
+	['pipelines', 'binding', 'Pipeline'],
+	['secrets_store_secrets', 'binding', 'SecretsStoreSecret'],
+	['send_email', 'name', 'SendEmail'],
+	['ratelimits', 'name', 'RateLimit']
+];
+
+/**
+ * Wrangler config keys holding a single binding object.
+ * @type {[key: string, type: string][]}
+ */
+const BINDING_SINGLES = [
+	['ai', 'Ai'],
+	['browser', 'Fetcher'],
+	['images', 'ImagesBinding'],
+	['version_metadata', 'WorkerVersionMetadata']
+];
+
+/**
+ * Generate a declaration file typing `App.Platform['env']` from the wrangler config.
+ * Durable Object and Workflow bindings are typed to the classes exported from the
+ * worker file when it exports them, and fall back to the untyped namespace otherwise.
+ * Without `exports` (`proxyConfig`, which runs before the exports are detected), TypeScript
+ * looks the classes up in the worker file itself.
+ * @param {string} root
+ * @param {string} workerFile
+ * @param {WorkerExports | undefined} exports
+ * @param {import('wrangler').Unstable_Config} config
+ * @param {(...args: any[]) => void} log
+ * @returns {string} Absolute path to the generated declaration file
+ */
+function generateEnvTypes(root, workerFile, exports, config, log) {
+	const dir = path.resolve(root, '.svelte-kit/cloudflare-worker');
+	mkdirSync(dir, { recursive: true });
+
+	const typesPath = path.join(dir, 'env.d.ts');
+
+	let importPath = path.relative(dir, path.resolve(root, workerFile)).replace(/\\/g, '/');
+	if (!importPath.startsWith('.')) {
+		importPath = './' + importPath;
+	}
+	const worker = `import('${importPath.replace(/'/g, "\\'")}')`;
+	const hasWorker = existsSync(path.resolve(root, workerFile));
+	/** @param {string} className */
+	const workerClass = (className) =>
+		exports
+			? exports.classes.includes(className) && `${worker}.${className}`
+			: hasWorker && `WorkerClass<${JSON.stringify(className)}>`;
+
+	/** @type {Map<string, string>} */
+	const bindings = new Map();
+
+	for (const [name, value] of Object.entries(config.vars ?? {})) {
+		bindings.set(name, jsonType(value));
+	}
+
+	for (const [key, nameKey, type] of BINDING_LISTS) {
+		for (const binding of /** @type {any[]} */ (config[key] ?? [])) {
+			if (binding?.[nameKey]) bindings.set(binding[nameKey], type);
+		}
+	}
+
+	for (const [key, type] of BINDING_SINGLES) {
+		if (config[key]?.binding) bindings.set(config[key].binding, type);
+	}
+
+	for (const producer of config.queues?.producers ?? []) {
+		bindings.set(producer.binding, 'Queue');
+	}
+
+	for (const binding of config.durable_objects?.bindings ?? []) {
+		const local = !binding.script_name || binding.script_name === config.name;
+		const cls = local && workerClass(binding.class_name);
+		bindings.set(binding.name, cls ? `DurableObjectNamespace<${cls}>` : 'DurableObjectNamespace');
+	}
+
+	for (const workflow of config.workflows ?? []) {
+		const local = !workflow.script_name || workflow.script_name === config.name;
+		const cls = local && workerClass(workflow.class_name);
+		bindings.set(workflow.binding, cls ? `Workflow<WorkflowParams<${cls}>>` : 'Workflow');
+	}
+
+	// The plugin always exposes the assets binding so fetch can fall through to SvelteKit
+	bindings.set(config.assets?.binding ?? 'ASSETS', 'Fetcher');
+
+	const source = config.configPath ? path.relative(root, config.configPath) : 'wrangler config';
+	const lines = [
+		`// Generated by sveltekit-cloudflare-worker from ${source} — do not edit.`,
+		'',
+		'type WorkflowParams<T> = T extends { run(event: { payload: infer P }, ...args: any[]): unknown }',
+		'\t? P',
+		'\t: unknown;',
+		'',
+		...(!exports && hasWorker
+			? [
+					`type WorkerClass<Name extends string> = typeof ${worker} extends Record<Name, abstract new (...args: any[]) => infer T>`,
+					'\t? T',
+					'\t: undefined;',
+					''
+				]
+			: []),
+		'declare global {',
+		'\tnamespace App {',
+		'\t\tinterface Platform {',
+		'\t\t\tenv: {'
+	];
+	for (const [name, type] of bindings) {
+		const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+		lines.push(`\t\t\t\t${key}: ${type};`);
+	}
+	lines.push('\t\t\t};', '\t\t}', '\t}', '}', '', 'export {};', '');
+
+	writeFileSync(typesPath, lines.join('\n'));
+	log(`Generated env types at ${path.relative(root, typesPath)}`);
+
+	return typesPath;
 }
 
 /**
- * Reads the wrangler config, adds script_name to DO bindings to suppress
- * workerd warnings, writes it to a temp file, and returns the temp path.
+ * Describe a JSON value from wrangler `vars` as a TypeScript type.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function jsonType(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return `${value.length ? jsonType(value[0]) : 'unknown'}[]`;
+	if (typeof value === 'object') {
+		const fields = Object.entries(value).map(
+			([key, field]) => `${JSON.stringify(key)}: ${jsonType(field)}`
+		);
+		return `{ ${fields.join('; ')} }`;
+	}
+	return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+		? typeof value
+		: 'unknown';
+}
+
+/**
+ * Reads the wrangler config, adds script_name to the DO bindings of this worker to
+ * suppress workerd warnings, writes it to a temp file, and returns the temp path.
+ * With an environment, the file holds that environment's resolved config. Without one,
+ * the plugin writes the file again for the environment it resolves.
  *
  * @param {string} [configPath]
+ * @param {import('./index.js').ProxyConfigOptions} [options]
  * @returns {Promise<string>}
  */
-export async function proxyConfig(configPath) {
-	const { unstable_readConfig } = await import('wrangler');
-	const config = unstable_readConfig({ config: configPath }, { hideWarnings: true });
+export async function proxyConfig(configPath, options = {}) {
+	const { wranglerEnv = process.env.CLOUDFLARE_ENV, workerFile = 'src/worker.ts' } = options;
+	const config = await readWranglerConfig(configPath, wranglerEnv);
+	/** @type {any} */ (globalThis)[Symbol.for(PROXY_CONFIG_KEY)] = {
+		configPath,
+		wranglerEnv,
+		pinned: !!options.wranglerEnv
+	};
+
+	// svelte.config.js also loads for `svelte-kit sync`, so a fresh checkout type-checks before
+	// `vite dev` or `vite build` ever ran. The worker file's exports aren't known yet.
+	generateEnvTypes(process.cwd(), workerFile, undefined, config, () => {});
+
+	return writeProxyConfig(config, wranglerEnv);
+}
 
+/**
+ * Write the proxy file of `proxyConfig` for a resolved wrangler config.
+ * @param {import('wrangler').Unstable_Config} config
+ * @param {string | undefined} wranglerEnv
+ * @returns {string} Absolute path to the proxy file
+ */
+function writeProxyConfig(config, wranglerEnv) {
 	const excludedFields = new Set([
 		'configPath',
 		'userConfigPath',
@@ -263,13 +1156,27 @@ export async function proxyConfig(configPath) {
 		Object.entries(config).filter(([key]) => !excludedFields.has(key))
 	);
 
+	// Bindings to another worker's Durable Objects keep their script_name, for the dev registry
 	if (rawConfig.durable_objects?.bindings) {
 		for (const binding of rawConfig.durable_objects.bindings) {
-			binding.script_name = 'self';
+			if (!binding.script_name || binding.script_name === config.name) {
+				binding.script_name = 'self';
+			}
 		}
 	}
 
-	const dir = path.resolve('.svelte-kit/cloudflare-worker');
+	// The resolved config is the environment's. Repeat it under its name for readers that
+	// select the environment again from CLOUDFLARE_ENV, like getPlatformProxy.
+	if (wranglerEnv) {
+		const topLevelOnly = new Set(['legacy_env', 'dev']);
+		rawConfig.env = {
+			[wranglerEnv]: Object.fromEntries(
+				Object.entries(rawConfig).filter(([key]) => !topLevelOnly.has(key))
+			)
+		};
+	}
+
+	const dir = path.resolve('.svelte-kit/cloudflare-worker');
 	mkdirSync(dir, { recursive: true });
 	const outPath = path.join(dir, 'wrangler.proxy.json');
 	writeFileSync(outPath, JSON.stringify(rawConfig, null, '\t'));
@@ -277,14 +1184,186 @@ export async function proxyConfig(configPath) {
 	return outPath;
 }
 
+/**
+ * Boots the worker file in Miniflare the way `vite dev` runs it: the same generated entry, with
+ * the local bindings of the wrangler config, and `options.sveltekit` answering the requests that
+ * fall through to SvelteKit. Storage is in memory and nothing is fetched from the network.
+ *
+ * @param {import('./index.js').WorkerTestContextOptions} [options]
+ * @returns {Promise<import('./index.js').WorkerTestContext<any>>}
+ */
+export async function createWorkerTestContext(options = {}) {
+	const root = process.cwd();
+	const workerFile = options.workerFile ?? 'src/worker.ts';
+	const workerPath = path.resolve(root, workerFile);
+	const wranglerEnv = options.wranglerEnv ?? process.env.CLOUDFLARE_ENV;
+	const config = await readWranglerConfig(options.wranglerConfig, wranglerEnv);
+	const workerResolve = await resolveWorkerImports(root, {}, 'test');
+	const exports = await detectExports(workerPath, workerResolve, config);
+
+	// Local Durable Objects get a `__storage` method for `storage()`
+	const storageClasses = (config.durable_objects?.bindings ?? [])
+		.filter((b) => !b.script_name || b.script_name === config.name)
+		.map((b) => b.class_name)
+		.filter((name) => exports.classes.includes(name));
+
+	/** @type {EmittedFiles} */
+	const emitted = { modules: new Map(), assets: new Map() };
+	const { build } = await import('esbuild');
+	const result = await build({
+		stdin: {
+			contents: devEntrySource(
+				'./' + path.basename(workerPath),
+				workerFile,
+				exports,
+				storageClasses
+			),
+			resolveDir: path.dirname(workerPath),
+			sourcefile: '_test-entry.ts',
+			loader: 'ts'
+		},
+		write: false,
+		format: 'esm',
+		platform: 'browser',
+		bundle: true,
+		external: ['cloudflare:*'],
+		conditions: ['workerd'],
+		plugins: [esbuildResolvePlugin(workerResolve, workerFile, config, emitted)],
+		logLevel: 'silent'
+	});
+
+	const { unstable_getMiniflareWorkerOptions } = await import('wrangler');
+	const { Miniflare, Response: MiniflareResponse } = await import('miniflare');
+	// The assets binding is replaced by `options.sveltekit`: there is no build output to serve, and
+	// wrangler refuses an assets directory that doesn't exist yet
+	const { workerOptions } = unstable_getMiniflareWorkerOptions(
+		{ ...config, assets: undefined },
+		wranglerEnv
+	);
+	const sveltekit = options.sveltekit ?? (() => new Response('Not Found', { status: 404 }));
+
+	const mf = new Miniflare({
+		...workerOptions,
+		name: config.name,
+		modules: [
+			{
+				type: 'ESModule',
+				path: path.join(root, '_test-entry.js'),
+				contents: result.outputFiles[0].text
+			},
+			...[...emitted.modules].map(([name, { file, type }]) => ({
+				type: /** @type {'Text' | 'Data' | 'CompiledWasm'} */ (type),
+				path: path.join(root, name),
+				contents: readFileSync(file)
+			}))
+		],
+		serviceBindings: {
+			...workerOptions.serviceBindings,
+			ASSETS: async (request) => {
+				const response = await sveltekit(/** @type {any} */ (request));
+				return new MiniflareResponse(response.body, response);
+			}
+		},
+		cf: false
+	});
+
+	const origin = 'http://localhost';
+	const worker = await mf.getWorker();
+
+	/** @param {string} binding @param {string} name */
+	const durableObject = async (binding, name) => {
+		const namespace = await mf.getDurableObjectNamespace(binding);
+		return /** @type {any} */ (namespace.get(namespace.idFromName(name)));
+	};
+
+	return {
+		env: await mf.getBindings(),
+
+		async fetch(input, init) {
+			const request = new Request(input instanceof Request ? input : new URL(input, origin), init);
+			return /** @type {any} */ (
+				mf.dispatchFetch(request.url, {
+					method: request.method,
+					headers: request.headers,
+					body: request.body,
+					redirect: 'manual',
+					// @ts-expect-error required by undici for streamed bodies
+					duplex: 'half'
+				})
+			);
+		},
+
+		scheduled({ cron = '', scheduledTime = new Date() } = {}) {
+			return worker.scheduled({ cron, scheduledTime });
+		},
+
+		queue(queue, bodies) {
+			return worker.queue(
+				queue,
+				bodies.map((body) => ({
+					id: crypto.randomUUID(),
+					timestamp: new Date(),
+					body,
+					attempts: 1
+				}))
+			);
+		},
+
+		async email({ raw, from, to }) {
+			const params = new URLSearchParams();
+			if (from) params.set('from', from);
+			if (to) params.set('to', to);
+			const response = await mf.dispatchFetch(`${origin}${WORKER_EVENTS_PATH}email?${params}`, {
+				method: 'POST',
+				body: raw
+			});
+			const report = /** @type {any} */ (await response.json());
+			if (!report.handler) {
+				throw new Error(`[sveltekit-cloudflare-worker] ${report.error}`);
+			}
+			return report;
+		},
+
+		durableObject,
+
+		storage(binding, name) {
+			/** @param {string} method */
+			const call =
+				(method) =>
+				async (/** @type {any[]} */ ...args) =>
+					(await durableObject(binding, name)).__storage(method, args);
+			return {
+				get: call('get'),
+				put: call('put'),
+				delete: call('delete'),
+				list: call('list'),
+				sql: call('sql')
+			};
+		},
+
+		dispose() {
+			return mf.dispose();
+		}
+	};
+}
+
 // --- Shared utilities ---
 
+/**
+ * @typedef {import('./worker-exports.js').WorkerExports} WorkerExports
+ * @typedef {WorkerExports & { files: string[] }} DetectedExports
+ */
+
 /**
  * Detect exports from the user's worker file using esbuild's metafile.
+ * Also returns the absolute paths of every local module the worker imports,
+ * so dev mode can watch them for export changes.
  * @param {string} workerPath
- * @returns {Promise<{ handlers: string[], classes: string[] }>}
+ * @param {WorkerResolve} workerResolve
+ * @param {import('wrangler').Unstable_Config} [config] Its compatibility flags decide how `node:*` imports resolve
+ * @returns {Promise<DetectedExports>}
  */
-async function detectExports(workerPath) {
+async function detectExports(workerPath, workerResolve, config) {
 	const { build } = await import('esbuild');
 	const result = await build({
 		entryPoints: [workerPath],
@@ -295,91 +1374,1285 @@ async function detectExports(workerPath) {
 		platform: 'browser',
 		external: ['cloudflare:*'],
 		conditions: ['workerd'],
+		plugins: [
+			esbuildResolvePlugin(workerResolve, path.relative(process.cwd(), workerPath), config)
+		],
 		logLevel: 'silent'
 	});
 
 	const outputKey = Object.keys(result.metafile.outputs)[0];
-	return classifyExports(result.metafile.outputs[outputKey].exports);
+	const files = Object.keys(result.metafile.inputs)
+		.filter((input) => !input.includes('node_modules'))
+		.map((input) => path.resolve(input));
+
+	const exports = classifyExports(
+		result.metafile.outputs[outputKey].exports,
+		result.outputFiles[0].text,
+		path.relative(process.cwd(), workerPath)
+	);
+
+	return { ...exports, files };
 }
 
 /**
- * Classify export names into handlers and classes.
- * @param {string[]} exportNames
- * @returns {{ handlers: string[], classes: string[] }}
+ * List the export names that were added or removed between two detections.
+ * @param {WorkerExports} prev
+ * @param {WorkerExports} next
+ * @returns {{ added: string[], removed: string[] }}
  */
-function classifyExports(exportNames) {
-	const handlers = [];
-	const classes = [];
+function diffExports(prev, next) {
+	const names = (/** @type {WorkerExports} */ e) => [
+		...(e.hasDefault ? ['default'] : []),
+		...(e.hasOnError ? [ERROR_HOOK] : []),
+		...e.handlers,
+		...e.classes
+	];
+	const before = names(prev);
+	const after = names(next);
 
-	for (const name of exportNames) {
-		if (name === 'default') continue;
-		if (KNOWN_HANDLERS.includes(name)) {
-			handlers.push(name);
-		} else {
-			classes.push(name);
-		}
+	return {
+		added: after.filter((name) => !before.includes(name)),
+		removed: before.filter((name) => !after.includes(name))
+	};
+}
+
+/**
+ * Dispatch map exports present in the worker.
+ * @param {WorkerExports} exports
+ * @returns {string[]}
+ */
+function dispatchMaps(exports) {
+	return exports.handlers.filter((name) => name in DISPATCH_MAPS);
+}
+
+/**
+ * Handlers that are re-exported as-is: everything except `fetch` (always wrapped),
+ * dispatch maps, and handlers a dispatch map takes over.
+ * @param {WorkerExports} exports
+ * @returns {string[]}
+ */
+function plainHandlers(exports) {
+	const dispatched = dispatchMaps(exports).map((map) => DISPATCH_MAPS[map].handler);
+	return exports.handlers.filter(
+		(h) => h !== 'fetch' && !(h in DISPATCH_MAPS) && !dispatched.includes(h)
+	);
+}
+
+/**
+ * Generate the handler method for a dispatch map export. Unknown keys fall back to the
+ * plain handler export if there is one, and throw otherwise. With an `onError` export, the
+ * whole dispatch runs in `__guard`.
+ * @param {string} map
+ * @param {WorkerExports} exports
+ * @param {string} workerFile
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @returns {string}
+ */
+function mapDispatch(map, exports, workerFile, typed) {
+	const { handler, event, type, key, label } = DISPATCH_MAPS[map];
+	const params = typed
+		? `${event}: ${type}, env: any, ctx: ExecutionContext`
+		: `${event}, env, ctx`;
+	const fallback = exports.handlers.includes(handler) ? `__userWorker.${handler}` : 'undefined';
+	const message =
+		JSON.stringify(`[sveltekit-cloudflare-worker] No handler for ${label} "`) +
+		` + ${key} + ` +
+		JSON.stringify(`" in the "${map}" export of ${workerFile}`);
+
+	const body =
+		`const handler = Object.hasOwn(__userWorker.${map}, ${key}) ? __userWorker.${map}[${key}] : ${fallback};\n` +
+		`if (!handler) throw new Error(${message});\n` +
+		`return handler(${event}, env, ctx, __sveltekit(env, ctx));`;
+
+	if (exports.hasOnError) {
+		return (
+			`  ${handler}(${params})${typed ? ': Promise<void>' : ''} {\n` +
+			`    return __guard('${handler}', env, ctx, async () => {\n` +
+			body.replace(/^/gm, '      ') +
+			`\n    });\n` +
+			`  }`
+		);
 	}
 
-	return { handlers, classes };
+	return (
+		`  async ${handler}(${params})${typed ? ': Promise<void>' : ''} {\n` +
+		body.replace(/^/gm, '    ') +
+		`\n  }`
+	);
+}
+
+/**
+ * Generate the default export entry for a handler that isn't wrapped by `fetch` or a dispatch map.
+ * @param {string} handler
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @param {boolean} guarded Report errors to the `onError` export through `__guard`
+ * @returns {string}
+ */
+function handlerEntry(handler, typed, guarded) {
+	const sveltekit = SVELTEKIT_HANDLERS.includes(handler);
+	if (!sveltekit && !guarded) {
+		return `  ${handler}: __userWorker.${handler}`;
+	}
+
+	const params = typed ? 'event: any, env: any, ctx: ExecutionContext' : 'event, env, ctx';
+	const call = `__userWorker.${handler}(event, env, ctx${sveltekit ? ', __sveltekit(env, ctx)' : ''})`;
+	return (
+		`  ${handler}(${params}) {\n` +
+		`    return ${guarded ? `__guard('${handler}', env, ctx, () => ${call})` : call};\n` +
+		`  }`
+	);
+}
+
+/**
+ * @param {WorkerExports} exports
+ * @returns {boolean}
+ */
+function usesSvelteKitHelper(exports) {
+	return (
+		exports.hasDefault ||
+		dispatchMaps(exports).length > 0 ||
+		plainHandlers(exports).some((handler) => SVELTEKIT_HANDLERS.includes(handler))
+	);
+}
+
+/**
+ * Generate the request helpers used by the `fetch` wrapper.
+ *
+ * `__incomingRequest` drops the locals and error headers from incoming requests so clients
+ * can't forge `event.locals` or a worker error.
+ *
+ * `__nextRequest` turns the arguments of `next(input?, init?)` into the request handed to
+ * SvelteKit, like `new Request(input, init)`: `input` is a Request or defaults to the incoming
+ * request, and `init` (or a RequestInit `input`) is applied over it with its headers merged
+ * into the existing ones. A `cache` option other than a standard `RequestInit` value is recorded
+ * for `__cacheFallthrough`. A plain `next()` hands the incoming request over as is, so its body
+ * streams through instead of being buffered by a tee. Only an `init` applied over it, or a later
+ * call once `__forwarded` holds it, gets a clone, while the body is unread and not replaced.
+ *
+ * `locals` are handed to the `workerLocals` hook keyed by the request, in the `__locals` WeakMap
+ * shared through `globalThis`, when SvelteKit runs in the same isolate (build). In dev, SvelteKit
+ * runs in Vite's Node process, so they're serialized into the locals header instead.
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @param {boolean} localsHeader Pass `locals` in the locals header (dev)
+ * @returns {string}
+ */
+function nextRequestHelper(typed, localsHeader) {
+	const header = JSON.stringify(LOCALS_HEADER);
+	const errorHeader = JSON.stringify(ERROR_HEADER);
+	const params = typed
+		? 'request: Request, input?: Request | __NextInit, init?: __NextInit'
+		: 'request, input, init';
+
+	return (
+		(typed
+			? `type __NextInit = Omit<RequestInit, 'cache'> & { locals?: unknown, cache?: RequestInit['cache'] | __NextCache };\n\n`
+			: '') +
+		(localsHeader ? '' : `${LOCALS_WEAKMAP}\n\n`) +
+		`const __forwarded = new WeakSet${typed ? '<Request>' : ''}();\n\n` +
+		`function __incomingRequest(${typed ? 'request: Request' : 'request'}) {\n` +
+		`  if (!request.headers.has(${header}) && !request.headers.has(${errorHeader})) return request;\n` +
+		`  request = new Request(request);\n` +
+		`  request.headers.delete(${header});\n` +
+		`  request.headers.delete(${errorHeader});\n` +
+		`  return request;\n` +
+		`}\n\n` +
+		`function __nextRequest(${params})${typed ? ': Request' : ''} {\n` +
+		`  const options = input instanceof Request ? init : input;\n` +
+		`  let base = input instanceof Request ? input : request;\n` +
+		`  if (base === request && (options || __forwarded.has(request))) {\n` +
+		`    if (!request.bodyUsed && options?.body === undefined) base = request.clone();\n` +
+		`  } else if (base === request) {\n` +
+		`    __forwarded.add(request);\n` +
+		`  }\n` +
+		`  if (!options) return base;\n` +
+		`  const { locals, cache, ...requestInit } = options;\n` +
+		`  const headers = new Headers(base.headers);\n` +
+		`  new Headers(requestInit.headers).forEach((value, key) => headers.set(key, value));\n` +
+		`  if (requestInit.body !== undefined) headers.delete('content-length');\n` +
+		(localsHeader
+			? `  if (locals !== undefined) headers.set(${header}, encodeURIComponent(JSON.stringify(locals)));\n`
+			: '') +
+		`  const standardCache = typeof cache === 'string' && cache !== 'bypass';\n` +
+		`  const next = new Request(base, standardCache ? { ...requestInit, cache, headers } : { ...requestInit, headers });\n` +
+		`  if (cache && !standardCache) __cacheOptions.set(next, cache);\n` +
+		(localsHeader ? '' : `  if (locals !== undefined) __locals.set(next, locals);\n`) +
+		`  return next;\n` +
+		`}`
+	);
+}
+
+/**
+ * Generate `__cacheFallthrough`, the fall-through honoring the `cache` option of `next()`:
+ * - `'bypass'` neither looks the request up nor stores its response
+ * - `{ key, ttl }` looks the response up under `key` (a URL, or a string stored under
+ *   `CACHE_KEY_ORIGIN`) and stores it there for `ttl` seconds, or as its `Cache-Control` allows
+ * Responses are stored like the adapter does: GET requests, cacheable statuses, no `Vary: *`.
+ * In the build, the adapter's own lookup and store in `caches.default` are patched to skip the
+ * requests `next({ cache })` controls, and the HEAD request built for that keeps its `locals`.
+ * The dev server has no adapter cache, so only the keyed
+ * lookup and store run there, against the local `caches.default`.
+ * @param {string} fallthrough Expression using `request`, `env` and `ctx`
+ * @param {boolean} adapter Patch the adapter's cache (build)
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @returns {string}
+ */
+function cacheHelper(fallthrough, adapter, typed) {
+	const any = typed ? ': any' : '';
+
+	return (
+		(typed ? `type __NextCache = 'bypass' | { key?: string | URL, ttl?: number };\n\n` : '') +
+		`const __cacheOptions = new WeakMap${typed ? '<Request, __NextCache>' : ''}();\n` +
+		`const __cacheDefault${any} = caches.default;\n` +
+		`const __cacheMatch = __cacheDefault.match.bind(__cacheDefault);\n` +
+		`const __cachePut = __cacheDefault.put.bind(__cacheDefault);\n` +
+		(adapter
+			? `__cacheDefault.match = (request, options) => __cacheOptions.has(request) ? Promise.resolve(undefined) : __cacheMatch(request, options);\n` +
+				`__cacheDefault.put = (request, response) => __cacheOptions.has(request) ? Promise.resolve() : __cachePut(request, response);\n`
+			: '') +
+		`const __cacheStatuses = new Set([200, 203, 204, 300, 301, 404, 405, 410, 414, 501]);\n\n` +
+		`function __cacheKey(key${any}) {\n` +
+		`  key = key instanceof Request ? key.url : String(key);\n` +
+		`  return /^https?:\\/\\//.test(key) ? key : ${JSON.stringify(CACHE_KEY_ORIGIN + '/')} + encodeURIComponent(key);\n` +
+		`}\n\n` +
+		`async function __cacheFallthrough(request${any}, env${any}, ctx${any})${typed ? ': Promise<Response>' : ''} {\n` +
+		`  const cache = __cacheOptions.get(request);\n` +
+		(adapter
+			? `  // The adapter looks HEAD requests up as a new GET request, which isn't marked\n` +
+				`  if (cache && request.method === 'HEAD') {\n` +
+				`    const headers = new Headers(request.headers);\n` +
+				`    headers.set('cache-control', 'no-cache');\n` +
+				`    const locals = __locals.get(request);\n` +
+				`    request = new Request(request, { headers });\n` +
+				`    if (locals !== undefined) __locals.set(request, locals);\n` +
+				`  }\n`
+			: '') +
+		`  if (!cache || cache === 'bypass' || (request.method !== 'GET' && request.method !== 'HEAD')) return ${fallthrough};\n` +
+		`  const key = __cacheKey(cache.key ?? request.url);\n` +
+		`  const hit = await __cacheMatch(key);\n` +
+		`  if (hit) return request.method === 'HEAD' ? new Response(null, hit) : hit;\n` +
+		`  const response = await ${fallthrough};\n` +
+		`  const control = cache.ttl === undefined ? response.headers.get('cache-control') ?? '' : \`s-maxage=\${cache.ttl}\`;\n` +
+		`  if (\n` +
+		`    request.method !== 'GET' ||\n` +
+		`    !__cacheStatuses.has(response.status) ||\n` +
+		`    (response.headers.get('vary') ?? '').includes('*') ||\n` +
+		`    !control ||\n` +
+		`    cache.ttl === 0 ||\n` +
+		`    /(private|no-cache|no-store)/i.test(control)\n` +
+		`  ) return response;\n` +
+		`  const stored = new Response(response.clone().body, response);\n` +
+		`  stored.headers.set('cache-control', response.headers.has('set-cookie') ? \`\${control}, private=Set-Cookie\` : control);\n` +
+		`  ctx.waitUntil(__cachePut(key, stored));\n` +
+		`  return response;\n` +
+		`}`
+	);
+}
+
+/**
+ * Generate the dev-only routes that trigger non-fetch handlers, since workerd has no
+ * built-in way to do so for queues and email:
+ * - `/__worker/scheduled?cron=...&time=...`
+ * - `/__worker/queue/<name>` with a JSON body: an array of message bodies, or a single body
+ * - `/__worker/email?from=...&to=...` with a raw RFC 822 message as body
+ * Each route builds the event object, calls the handler through `resolve` (which returns
+ * undefined when the worker has no such handler) and responds with JSON describing what the
+ * handler did to it: ack/retry calls on a batch, `noRetry()` on a controller, or the
+ * rejection, forwards and replies of an email.
+ * @returns {string}
+ */
+function workerEventsHelper() {
+	const prefix = JSON.stringify(WORKER_EVENTS_PATH);
+
+	return (
+		`type __WorkerEventTrigger = { handler: string; event: any; report: () => Record<string, unknown> };\n\n` +
+		`function __isWorkerEvent(request: Request): boolean {\n` +
+		`  return new URL(request.url).pathname.startsWith(${prefix});\n` +
+		`}\n\n` +
+		`function __scheduledTrigger(url: URL): __WorkerEventTrigger {\n` +
+		`  const cron = url.searchParams.get('cron') ?? '';\n` +
+		`  const scheduledTime = Number(url.searchParams.get('time') ?? Date.now());\n` +
+		`  let noRetry = false;\n` +
+		`  const controller = { cron, scheduledTime, type: 'scheduled', noRetry() { noRetry = true; } };\n` +
+		`  return { handler: 'scheduled', event: controller, report: () => ({ cron, scheduledTime, noRetry }) };\n` +
+		`}\n\n` +
+		`async function __queueTrigger(queue: string, request: Request): Promise<__WorkerEventTrigger> {\n` +
+		`  let bodies: unknown;\n` +
+		`  try {\n` +
+		`    bodies = await request.json();\n` +
+		`  } catch {\n` +
+		`    throw new Error('Expected a JSON array of message bodies');\n` +
+		`  }\n` +
+		`  type Outcome = { acked: boolean; retried: false | { delaySeconds?: number } };\n` +
+		`  const outcomes: Outcome[] = [];\n` +
+		`  const messages = (Array.isArray(bodies) ? bodies : [bodies]).map((body) => {\n` +
+		`    const outcome: Outcome = { acked: false, retried: false };\n` +
+		`    outcomes.push(outcome);\n` +
+		`    return {\n` +
+		`      id: crypto.randomUUID(), timestamp: new Date(), body, attempts: 1,\n` +
+		`      ack() { outcome.acked = true; },\n` +
+		`      retry(options?: { delaySeconds?: number }) { outcome.retried = { ...options }; }\n` +
+		`    };\n` +
+		`  });\n` +
+		`  let ackAll = false;\n` +
+		`  let retryAll: false | { delaySeconds?: number } = false;\n` +
+		`  const batch = {\n` +
+		`    queue, messages,\n` +
+		`    ackAll() { ackAll = true; },\n` +
+		`    retryAll(options?: { delaySeconds?: number }) { retryAll = { ...options }; }\n` +
+		`  };\n` +
+		`  return {\n` +
+		`    handler: 'queue', event: batch,\n` +
+		`    report: () => ({ queue, ackAll, retryAll, messages: messages.map(({ id, body }, i) => ({ id, body, ...outcomes[i] })) })\n` +
+		`  };\n` +
+		`}\n\n` +
+		`async function __emailTrigger(url: URL, request: Request): Promise<__WorkerEventTrigger> {\n` +
+		`  const raw = await request.text();\n` +
+		`  const headers = new Headers();\n` +
+		`  for (const line of raw.split(/\\r?\\n\\r?\\n/)[0].replace(/\\r?\\n[ \\t]+/g, ' ').split(/\\r?\\n/)) {\n` +
+		`    const colon = line.indexOf(':');\n` +
+		`    if (colon > 0) headers.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());\n` +
+		`  }\n` +
+		`  const address = (value: string | null) => value?.match(/<([^>]+)>/)?.[1] ?? value?.trim() ?? '';\n` +
+		`  const from = url.searchParams.get('from') ?? address(headers.get('from'));\n` +
+		`  const to = url.searchParams.get('to') ?? address(headers.get('to'));\n` +
+		`  const bytes = new TextEncoder().encode(raw);\n` +
+		`  let rejected: string | null = null;\n` +
+		`  const forwarded: { rcptTo: string; headers: Record<string, string> }[] = [];\n` +
+		`  const replies: { from: string; to: string }[] = [];\n` +
+		`  const message = {\n` +
+		`    from, to, headers, raw: new Response(bytes).body, rawSize: bytes.byteLength,\n` +
+		`    setReject(reason: string) { rejected = reason; },\n` +
+		`    async forward(rcptTo: string, headers?: Headers) { forwarded.push({ rcptTo, headers: Object.fromEntries(headers ?? []) }); },\n` +
+		`    async reply(reply: { from: string; to: string }) { replies.push({ from: reply.from, to: reply.to }); }\n` +
+		`  };\n` +
+		`  return { handler: 'email', event: message, report: () => ({ from, to, rejected, forwarded, replies }) };\n` +
+		`}\n\n` +
+		`async function __workerEvent(request: Request, resolve: (handler: string) => ((event: any) => unknown) | undefined): Promise<Response> {\n` +
+		`  const url = new URL(request.url);\n` +
+		`  const [kind, ...rest] = url.pathname.slice(${prefix}.length).split('/');\n` +
+		`  let trigger: __WorkerEventTrigger;\n` +
+		`  try {\n` +
+		`    if (kind === 'scheduled') trigger = __scheduledTrigger(url);\n` +
+		`    else if (kind === 'queue' && rest.length > 0) trigger = await __queueTrigger(decodeURIComponent(rest.join('/')), request);\n` +
+		`    else if (kind === 'email') trigger = await __emailTrigger(url, request);\n` +
+		`    else return Response.json({ error: 'Expected /__worker/scheduled, /__worker/queue/<name> or /__worker/email' }, { status: 404 });\n` +
+		`  } catch (error: any) {\n` +
+		`    return Response.json({ error: error.message }, { status: 400 });\n` +
+		`  }\n` +
+		`  const handler = resolve(trigger.handler);\n` +
+		`  if (!handler) return Response.json({ error: \`The worker has no \${trigger.handler} handler\` }, { status: 404 });\n` +
+		`  try {\n` +
+		`    await handler(trigger.event);\n` +
+		`    return Response.json({ handler: trigger.handler, outcome: 'ok', ...trigger.report() });\n` +
+		`  } catch (error: any) {\n` +
+		`    console.error(error);\n` +
+		`    return Response.json({ handler: trigger.handler, outcome: 'exception', error: String(error?.stack ?? error), ...trigger.report() }, { status: 500 });\n` +
+		`  }\n` +
+		`}`
+	);
+}
+
+/**
+ * Generate the helpers of the `tracing` option, which time each invocation:
+ * - `__traceHandlers` / `__traceClass` wrap the handlers of the default export, each one
+ *   starting a trace registered under its `ctx`
+ * - `__traceFallthrough` replaces the fall-through to SvelteKit and records how long it took.
+ *   On the build output it also tells a static asset (the adapter passed the request on to
+ *   `env.ASSETS`, seen through a Proxy that forwards everything else) and an edge cache hit (`cf-cache-status: HIT`) from a SvelteKit render.
+ * Once the handler settles, a JSON log line reports its outcome and timings, and `fetch`
+ * responses get a `Server-Timing` header: `worker` (the middleware), one `sveltekit`, `asset` or
+ * `cache` entry per fall-through, and `total`. With OpenTelemetry, each invocation and
+ * fall-through is also a span.
+ * `fallthrough` is an expression using `request`, `env` and `ctx`.
+ * @param {Tracing} tracing
+ * @param {string} fallthrough
+ * @param {boolean} adapter The fall-through is the adapter's worker (build output)
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @returns {string}
+ */
+function tracingHelper(tracing, fallthrough, adapter, typed) {
+	const any = typed ? ': any' : '';
+
+	const span = tracing.opentelemetry
+		? `const __tracer = __otelTrace.getTracer('sveltekit-cloudflare-worker');\n\n` +
+			`function __span(name${typed ? ': string' : ''}, attributes${any}, run${typed ? ': (span?: any) => any' : ''}) {\n` +
+			`  return __tracer.startActiveSpan(name, { attributes }, (span${any}) => {\n` +
+			`    const end = (failed${typed ? ': boolean' : ''}, error${typed ? '?: any' : ''}) => {\n` +
+			`      if (failed) {\n` +
+			`        span.recordException(error);\n` +
+			`        span.setStatus({ code: __SpanStatusCode.ERROR, message: String(error?.message ?? error) });\n` +
+			`      }\n` +
+			`      span.end();\n` +
+			`    };\n` +
+			`    try {\n` +
+			`      const result = run(span);\n` +
+			`      if (!(result instanceof Promise)) {\n` +
+			`        end(false);\n` +
+			`        return result;\n` +
+			`      }\n` +
+			`      return result.then((value) => { end(false); return value; }, (error) => { end(true, error); throw error; });\n` +
+			`    } catch (error) {\n` +
+			`      end(true, error);\n` +
+			`      throw error;\n` +
+			`    }\n` +
+			`  });\n` +
+			`}`
+		: `function __span(_name${typed ? ': string' : ''}, _attributes${any}, run${typed ? ': (span?: any) => any' : ''}) {\n` +
+			`  return run();\n` +
+			`}`;
+
+	// The adapter serves a static asset by passing the request on to `env.ASSETS.fetch`. Other
+	// calls, like SvelteKit's `read` or the app's own through `platform.env`, aren't counted.
+	const classify = adapter
+		? `  let asset = false;\n` +
+			`  const assets = env.ASSETS;\n` +
+			`  if (assets) {\n` +
+			`    const assetsFetch = (input, init) => {\n` +
+			`      if (input instanceof Request && input.url === request.url) asset = true;\n` +
+			`      return assets.fetch(input, init);\n` +
+			`    };\n` +
+			`    const tracedAssets = new Proxy(assets, {\n` +
+			`      get(target, key) {\n` +
+			`        if (key === 'fetch') return assetsFetch;\n` +
+			`        const value = Reflect.get(target, key);\n` +
+			`        return typeof value === 'function' ? value.bind(target) : value;\n` +
+			`      }\n` +
+			`    });\n` +
+			`    env = new Proxy(env, {\n` +
+			`      get: (target, key) => (key === 'ASSETS' ? tracedAssets : Reflect.get(target, key))\n` +
+			`    });\n` +
+			`  }\n`
+		: '';
+	const kind = adapter
+		? `asset ? 'asset' : response.headers.get('cf-cache-status') === 'HIT' ? 'cache' : 'sveltekit'`
+		: `'sveltekit'`;
+
+	return (
+		(typed
+			? `type __Trace = { start: number; fallthrough: { kind: string; duration: number }[] };\n\n`
+			: '') +
+		`const __traces = new WeakMap${typed ? '<object, __Trace>' : ''}();\n\n` +
+		span +
+		`\n\n` +
+		`function __timings(trace${typed ? ': __Trace' : ''}) {\n` +
+		`  const ms = (value${typed ? ': number' : ''}) => Math.round(value * 10) / 10;\n` +
+		`  const duration = performance.now() - trace.start;\n` +
+		`  const fallthrough = trace.fallthrough.reduce((sum, entry) => sum + entry.duration, 0);\n` +
+		`  return {\n` +
+		`    duration: ms(duration),\n` +
+		`    worker: ms(Math.max(0, duration - fallthrough)),\n` +
+		`    fallthrough: trace.fallthrough.map(({ kind, duration }) => ({ kind, duration: ms(duration) }))\n` +
+		`  };\n` +
+		`}\n\n` +
+		`function __traceLog(fields${typed ? ': Record<string, unknown>' : ''}) {\n` +
+		(tracing.logs
+			? `  console.log(JSON.stringify({ source: 'sveltekit-cloudflare-worker', ...fields }));\n`
+			: '') +
+		`}\n\n` +
+		`async function __traceFetch(request${typed ? ': Request' : ''}, ctx${any}, run${typed ? ': () => Promise<Response>' : ''})${typed ? ': Promise<Response>' : ''} {\n` +
+		`  const trace = { start: performance.now(), fallthrough: [] };\n` +
+		`  __traces.set(ctx, trace);\n` +
+		`  const fields = { handler: 'fetch', method: request.method, path: new URL(request.url).pathname };\n` +
+		`  let response${typed ? ': Response' : ''};\n` +
+		`  try {\n` +
+		`    response = await __span('worker.fetch', { 'http.request.method': fields.method, 'url.path': fields.path }, async (span${any}) => {\n` +
+		`      const response = await run();\n` +
+		`      span?.setAttribute('http.response.status_code', response.status);\n` +
+		`      return response;\n` +
+		`    });\n` +
+		`  } catch (error) {\n` +
+		`    __traceLog({ ...fields, outcome: 'exception', error: String(error), ...__timings(trace) });\n` +
+		`    throw error;\n` +
+		`  }\n` +
+		`  const timings = __timings(trace);\n` +
+		`  __traceLog({ ...fields, outcome: 'ok', status: response.status, ...timings });\n` +
+		(tracing.serverTiming
+			? `  if (response.status === 101${typed ? ' || (response as any).webSocket' : ' || response.webSocket'}) return response;\n` +
+				`  response = new Response(response.body, response);\n` +
+				`  const entries = [\`worker;dur=\${timings.worker}\`, ...timings.fallthrough.map(({ kind, duration }) => \`\${kind};dur=\${duration}\`), \`total;dur=\${timings.duration}\`];\n` +
+				`  response.headers.append('Server-Timing', entries.join(', '));\n`
+			: '') +
+		`  return response;\n` +
+		`}\n\n` +
+		`function __traceEvent(handler${typed ? ': string' : ''}, event${any}, ctx${any}, run${typed ? ': () => any' : ''}) {\n` +
+		`  const trace = { start: performance.now(), fallthrough: [] };\n` +
+		`  __traces.set(ctx, trace);\n` +
+		`  const fields = handler === 'scheduled' ? { cron: event?.cron } : handler === 'queue' ? { queue: event?.queue, messages: event?.messages?.length } : {};\n` +
+		`  const done = (outcome${typed ? ': string' : ''}, error${typed ? '?: unknown' : ''}) => __traceLog({ handler, ...fields, outcome, ...(outcome === 'exception' ? { error: String(error) } : {}), ...__timings(trace) });\n` +
+		`  return __span(\`worker.\${handler}\`, fields, () => {\n` +
+		`    try {\n` +
+		`      const result = run();\n` +
+		`      if (!(result instanceof Promise)) {\n` +
+		`        done('ok');\n` +
+		`        return result;\n` +
+		`      }\n` +
+		`      return result.then((value) => { done('ok'); return value; }, (error) => { done('exception', error); throw error; });\n` +
+		`    } catch (error) {\n` +
+		`      done('exception', error);\n` +
+		`      throw error;\n` +
+		`    }\n` +
+		`  });\n` +
+		`}\n\n` +
+		`function __traceFallthrough(request${typed ? ': Request' : ''}, env${any}, ctx${any})${typed ? ': Promise<Response>' : ''} {\n` +
+		`  const trace = __traces.get(ctx);\n` +
+		`  if (!trace) return ${fallthrough};\n` +
+		`  const start = performance.now();\n` +
+		classify +
+		`  return __span('worker.fallthrough', { 'url.path': new URL(request.url).pathname }, async (span${any}) => {\n` +
+		`    const response = await ${fallthrough};\n` +
+		`    const kind = ${kind};\n` +
+		`    trace.fallthrough.push({ kind, duration: performance.now() - start });\n` +
+		`    span?.setAttribute('sveltekit_cloudflare_worker.fallthrough', kind);\n` +
+		`    return response;\n` +
+		`  });\n` +
+		`}\n\n` +
+		`function __traceHandlers(worker${any}) {\n` +
+		`  const traced = { ...worker };\n` +
+		`  for (const name of ${JSON.stringify(KNOWN_HANDLERS)}) {\n` +
+		`    if (typeof worker[name] !== 'function') continue;\n` +
+		`    traced[name] = name === 'fetch'\n` +
+		`      ? (request${typed ? ': Request' : ''}, env${any}, ctx${any}) => __traceFetch(request, ctx, () => worker.fetch(request, env, ctx))\n` +
+		`      : (event${any}, env${any}, ctx${any}) => __traceEvent(name, event, ctx, () => worker[name](event, env, ctx));\n` +
+		`  }\n` +
+		`  return traced;\n` +
+		`}\n\n` +
+		`function __traceClass(cls${any}) {\n` +
+		`  for (const name of ${JSON.stringify(KNOWN_HANDLERS)}) {\n` +
+		`    const method = cls.prototype[name];\n` +
+		`    if (typeof method !== 'function') continue;\n` +
+		`    Object.defineProperty(cls.prototype, name, {\n` +
+		`      configurable: true,\n` +
+		`      writable: true,\n` +
+		`      value(${typed ? 'this: any, event: any' : 'event'}) {\n` +
+		`        return name === 'fetch'\n` +
+		`          ? __traceFetch(event, this.ctx, () => method.call(this, event))\n` +
+		`          : __traceEvent(name, event, this.ctx, () => method.call(this, event));\n` +
+		`      }\n` +
+		`    });\n` +
+		`  }\n` +
+		`  return cls;\n` +
+		`}`
+	);
+}
+
+/**
+ * Generate the helpers that hand errors to the worker's `onError` export:
+ * - `__fetchError` for a throwing `fetch`: the Response returned by `onError` is sent, else the
+ *   request falls through to SvelteKit (`fallthrough`, an expression using `request`, `env` and
+ *   `ctx`) with the error in a header, which the `workerError` hook rethrows. The request keeps
+ *   its method and body, unless `fetch` read it. A SvelteKit response under 500 means the hook
+ *   isn't installed: the error is logged and a 500 sent instead.
+ * - `__guard` for the other handlers: `onError` sees the error, which is then rethrown so the
+ *   runtime still records the failure (and retries a queue batch). Sync return values, like
+ *   the handler object of `tailStream`, are passed through unchanged.
+ * @param {string} fallthrough
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @returns {string}
+ */
+function onErrorHelper(fallthrough, typed) {
+	const any = typed ? ': any' : '';
+	const header = JSON.stringify(ERROR_HEADER);
+
+	return (
+		`async function __fetchError(error${any}, request${typed ? ': Request' : ''}, env${any}, ctx${any})${typed ? ': Promise<Response>' : ''} {\n` +
+		`  const response = await __userWorker.${ERROR_HOOK}(error, { handler: 'fetch', request, env, ctx });\n` +
+		`  if (response instanceof Response) return response;\n` +
+		`  const headers = new Headers(request.headers);\n` +
+		`  headers.set(${header}, encodeURIComponent(JSON.stringify({ name: error?.name ?? 'Error', message: error?.message ?? String(error), stack: error?.stack })));\n` +
+		`  if (request.bodyUsed) {\n` +
+		`    headers.delete('content-length');\n` +
+		`    request = new Request(request.url, { method: request.method, headers });\n` +
+		`  } else {\n` +
+		`    request = new Request(request, { headers });\n` +
+		`  }\n` +
+		`  const fallback = await ${fallthrough};\n` +
+		`  if (fallback.status >= 500) return fallback;\n` +
+		`  await fallback.body?.cancel();\n` +
+		`  console.error('[sveltekit-cloudflare-worker] The worker fetch threw and onError returned nothing, but SvelteKit answered ' + fallback.status + ': add the workerError hook to src/hooks.server.ts so it rethrows the error.', error);\n` +
+		`  return new Response('Internal Error', { status: 500 });\n` +
+		`}\n\n` +
+		`function __guard(handler${typed ? ': string' : ''}, env${any}, ctx${any}, run${typed ? ': () => any' : ''}) {\n` +
+		`  const report = async (error${typed ? ': unknown' : ''}) => {\n` +
+		`    await __userWorker.${ERROR_HOOK}(error, { handler, env, ctx });\n` +
+		`    throw error;\n` +
+		`  };\n` +
+		`  try {\n` +
+		`    const result = run();\n` +
+		`    return result instanceof Promise ? result.catch(report) : result;\n` +
+		`  } catch (error) {\n` +
+		`    return report(error);\n` +
+		`  }\n` +
+		`}`
+	);
+}
+
+/**
+ * Generate the `__sveltekit` factory handed to non-fetch handlers. Its `fetch` renders
+ * a SvelteKit route through `fallthrough`, an expression using `request`, `env` and `ctx`.
+ * Relative URLs resolve against http://localhost since there is no incoming request.
+ * @param {string} fallthrough
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @returns {string}
+ */
+function svelteKitHelper(fallthrough, typed) {
+	const params = typed ? 'env: any, ctx: ExecutionContext' : 'env, ctx';
+	const fetchParams = typed ? 'input: RequestInfo | URL, init?: RequestInit' : 'input, init';
+	return (
+		`const __sveltekit = (${params}) => ({\n` +
+		`  fetch(${fetchParams}) {\n` +
+		`    const request = input instanceof Request ? new Request(input, init) : new Request(new URL(input, 'http://localhost'), init);\n` +
+		`    return ${fallthrough};\n` +
+		`  }\n` +
+		`});`
+	);
+}
+
+/**
+ * Generate the default export for a worker file that has its own default export.
+ * Whether that is a handler object or a `WorkerEntrypoint` class is only known at runtime
+ * (it may be an instance such as a router app), so the generated code checks:
+ * - a class is extended, keeping its RPC methods and handlers, with `fetch` overridden to
+ *   call the class's own `fetch(request, next)` and fall through to SvelteKit
+ * - an object's handlers are picked and wrapped like named handler exports
+ * `fallthrough` is an expression using `request`, `env` and `ctx`.
+ * With an `onError` export, `fetch` errors go to `__fetchError` and the other handlers run in
+ * `__guard`; for a class, its handler methods are replaced on the subclass prototype.
+ * @param {string} fallthrough
+ * @param {boolean} typed Emit TypeScript annotations (dev entry)
+ * @param {boolean} workerEvents Serve the dev-only event routes from `workerEventsHelper`
+ * @param {boolean} guarded Report errors to the `onError` export
+ * @param {boolean} traced Wrap the handlers with the helpers of `tracingHelper`
+ * @returns {string}
+ */
+function userDefaultExport(fallthrough, typed, workerEvents, guarded, traced) {
+	const any = typed ? ': any' : '';
+	const handlers = KNOWN_HANDLERS.filter((h) => h !== 'fetch');
+	const guard = (/** @type {string} */ call) =>
+		guarded ? `__guard(name, env, ctx, () => ${call})` : call;
+
+	return (
+		`const __default${any} = __userWorker.default;\n\n` +
+		`function __fallthrough(request${any}, env${any}, ctx${any})${typed ? ': Promise<Response>' : ''} {\n` +
+		`  return ${fallthrough};\n` +
+		`}\n\n` +
+		`async function __fetch(request${any}, env${any}, ctx${any}, handler${any})${typed ? ': Promise<Response>' : ''} {\n` +
+		`  request = __incomingRequest(request);\n` +
+		`  let _nextResponse${typed ? ': Promise<Response> | undefined' : ''};\n` +
+		`  const next = (input${typed ? '?: Request | __NextInit' : ''}, init${typed ? '?: __NextInit' : ''}) => { _nextResponse = __fallthrough(__nextRequest(request, input, init), env, ctx); return _nextResponse; };\n` +
+		(guarded
+			? `  let response${any};\n` +
+				`  try {\n` +
+				`    response = handler ? await handler(request, next) : undefined;\n` +
+				`  } catch (error) {\n` +
+				`    return __fetchError(error, request, env, ctx);\n` +
+				`  }\n`
+			: `  const response = handler ? await handler(request, next) : undefined;\n`) +
+		`  if (response) return response;\n` +
+		`  return _nextResponse ?? next();\n` +
+		`}\n\n` +
+		`function __defaultHandlers(worker${any}) {\n` +
+		`  const handlers${typed ? ': Record<string, Function>' : ''} = {};\n` +
+		`  for (const name of ${JSON.stringify(handlers)}) {\n` +
+		`    if (typeof worker?.[name] !== 'function') continue;\n` +
+		`    handlers[name] = ${JSON.stringify(SVELTEKIT_HANDLERS)}.includes(name)\n` +
+		`      ? (event${any}, env${any}, ctx${any}) => ${guard('worker[name](event, env, ctx, __sveltekit(env, ctx))')}\n` +
+		(guarded
+			? `      : (event${any}, env${any}, ctx${any}) => ${guard('worker[name](event, env, ctx)')};\n`
+			: `      : (...args${typed ? ': any[]' : ''}) => worker[name](...args);\n`) +
+		`  }\n` +
+		`  return handlers;\n` +
+		`}\n\n` +
+		(guarded
+			? `function __guardClass(cls${any}) {\n` +
+				`  for (const name of ${JSON.stringify(handlers)}) {\n` +
+				`    const method = cls.prototype[name];\n` +
+				`    if (typeof method !== 'function') continue;\n` +
+				`    Object.defineProperty(cls.prototype, name, {\n` +
+				`      configurable: true,\n` +
+				`      writable: true,\n` +
+				`      value(${typed ? 'this: any, ...args: any[]' : '...args'}) {\n` +
+				`        return __guard(name, this.env, this.ctx, () => method.apply(this, args));\n` +
+				`      }\n` +
+				`    });\n` +
+				`  }\n` +
+				`  return cls;\n` +
+				`}\n\n`
+			: '') +
+		`export default typeof __default === 'function'\n` +
+		`  ? ${traced ? '__traceClass(' : ''}${guarded ? '__guardClass(' : ''}class extends __default {\n` +
+		`      fetch(request${any}) {\n` +
+		(workerEvents
+			? `        if (__isWorkerEvent(request)) return __workerEvent(request, (handler) => typeof this[handler] === 'function' ? (event) => this[handler](event) : undefined);\n`
+			: '') +
+		`        const handler = typeof super.fetch === 'function' ? (request${any}, next${any}) => super.fetch(request, next) : undefined;\n` +
+		`        return __fetch(request, this.env, this.ctx, handler);\n` +
+		`      }\n` +
+		`    }${guarded ? ')' : ''}${traced ? ')' : ''}\n` +
+		`  : ${traced ? '__traceHandlers(' : ''}{\n` +
+		`      ...__defaultHandlers(__default),\n` +
+		`      fetch(request${any}, env${any}, ctx${any}) {\n` +
+		(workerEvents
+			? `        if (__isWorkerEvent(request)) { const handlers = __defaultHandlers(__default); return __workerEvent(request, (handler) => handlers[handler] && ((event${any}) => handlers[handler](event, env, ctx))); }\n`
+			: '') +
+		`        const handler = typeof __default?.fetch === 'function' ? (request${any}, next${any}) => __default.fetch(request, env, ctx, next) : undefined;\n` +
+		`        return __fetch(request, env, ctx, handler);\n` +
+		`      }\n` +
+		`    }${traced ? ')' : ''};`
+	);
 }
 
 /**
  * Build the replacement export block for build mode patching.
- * @param {{ handlers: string[], classes: string[] }} exports
+ * @param {WorkerExports} exports
+ * @param {string} workerFile
+ * @param {Tracing} [tracing]
  * @returns {string}
  */
-function buildExportBlock(exports) {
+function buildExportBlock(exports, workerFile, tracing) {
 	const lines = [];
+	const fallthrough = (/** @type {string} */ request) =>
+		tracing
+			? `__traceFallthrough(${request}, env, ctx)`
+			: `__cacheFallthrough(${request}, env, ctx)`;
+
+	if (tracing?.opentelemetry) {
+		lines.push(OPENTELEMETRY_IMPORT);
+	}
 
 	for (const cls of exports.classes) {
 		lines.push(`export { ${cls} } from './_user-worker.js';`);
 	}
 
+	lines.push(cacheHelper('worker_default.fetch(request, env, ctx)', true, false));
+
+	if (tracing) {
+		lines.push(tracingHelper(tracing, '__cacheFallthrough(request, env, ctx)', true, false));
+	}
+
+	if (usesSvelteKitHelper(exports)) {
+		lines.push(svelteKitHelper(fallthrough('request'), false));
+	}
+
 	const hasFetch = exports.handlers.includes('fetch');
-	const otherHandlers = exports.handlers.filter((h) => h !== 'fetch');
+
+	lines.push(nextRequestHelper(false, false));
+
+	if (exports.hasOnError) {
+		lines.push(onErrorHelper(fallthrough('request'), false));
+	}
+
+	if (exports.hasDefault) {
+		lines.push(
+			userDefaultExport(fallthrough('request'), false, false, exports.hasOnError, !!tracing)
+		);
+		return lines.join('\n') + '\n';
+	}
+
+	const maps = dispatchMaps(exports);
+	const otherHandlers = plainHandlers(exports);
 
 	const defaultEntries = [];
 
 	if (hasFetch) {
 		defaultEntries.push(
 			`  async fetch(req, env, ctx) {\n` +
+				`    req = __incomingRequest(req);\n` +
 				`    let _nextResponse;\n` +
-				`    const next = () => { _nextResponse = worker_default.fetch(req, env, ctx); return _nextResponse; };\n` +
-				`    const res = await __userWorker.fetch(req, env, ctx, next);\n` +
+				`    const next = (input, init) => { _nextResponse = ${fallthrough('__nextRequest(req, input, init)')}; return _nextResponse; };\n` +
+				(exports.hasOnError
+					? `    let res;\n` +
+						`    try {\n` +
+						`      res = await __userWorker.fetch(req, env, ctx, next);\n` +
+						`    } catch (error) {\n` +
+						`      return __fetchError(error, req, env, ctx);\n` +
+						`    }\n`
+					: `    const res = await __userWorker.fetch(req, env, ctx, next);\n`) +
 				`    if (res) return res;\n` +
 				`    return _nextResponse ?? next();\n` +
 				`  }`
 		);
 	} else {
-		defaultEntries.push(`  fetch: worker_default.fetch`);
+		defaultEntries.push(
+			`  fetch(req, env, ctx) {\n` +
+				`    return ${fallthrough('__incomingRequest(req)')};\n` +
+				`  }`
+		);
 	}
 
 	for (const handler of otherHandlers) {
-		defaultEntries.push(`  ${handler}: __userWorker.${handler}`);
+		defaultEntries.push(handlerEntry(handler, false, exports.hasOnError));
 	}
 
-	lines.push(`export default {\n${defaultEntries.join(',\n')}\n};`);
+	for (const map of maps) {
+		defaultEntries.push(mapDispatch(map, exports, workerFile, false));
+	}
+
+	lines.push(
+		tracing
+			? `export default __traceHandlers({\n${defaultEntries.join(',\n')}\n});`
+			: `export default {\n${defaultEntries.join(',\n')}\n};`
+	);
 
 	return lines.join('\n') + '\n';
 }
 
 /**
- * Find the generated _worker.js path by reading wrangler config.
- * Uses wrangler's own config parser to handle JSONC, JSON, and TOML.
+ * Find the _worker.js generated by adapter-cloudflare: `pages_build_output_dir/_worker.js`
+ * on Cloudflare Pages, the wrangler config's `main` on Workers.
+ * @param {string} root
+ * @param {import('wrangler').Unstable_Config} [config]
+ * @returns {string}
+ */
+function findWorkerDest(root, config) {
+	if (isBuildingForPages(config)) {
+		return path.resolve(
+			root,
+			config?.pages_build_output_dir ?? '.svelte-kit/cloudflare',
+			'_worker.js'
+		);
+	}
+
+	if (config?.main) {
+		return path.resolve(root, config.main);
+	}
+
+	return path.resolve(root, '.svelte-kit/cloudflare/_worker.js');
+}
+
+/**
+ * Find the static assets directory adapter-cloudflare writes the client files to: the Pages
+ * output directory, or the wrangler config's `assets.directory` on Workers, which the adapter
+ * resolves against the config file.
  * @param {string} root
+ * @param {import('wrangler').Unstable_Config} [config]
+ * @returns {string}
+ */
+function findAssetsDir(root, config) {
+	if (isBuildingForPages(config)) {
+		return path.resolve(root, config?.pages_build_output_dir ?? '.svelte-kit/cloudflare');
+	}
+
+	if (config?.assets?.directory) {
+		const configDir = config.configPath ? path.dirname(path.resolve(config.configPath)) : root;
+		return path.resolve(configDir, config.assets.directory);
+	}
+
+	return path.resolve(root, '.svelte-kit/cloudflare');
+}
+
+/**
+ * Make the paths handled by the worker's `fetch` reach it on Pages: add them to the
+ * `include` rules of the adapter's `_routes.json` unless a rule already covers them, and
+ * drop the `exclude` rules that overlap them. Like the adapter, exclude rules past the
+ * limit of 100 rules are dropped with a warning.
+ * @param {string} dir The Pages build output directory
+ * @param {string[]} routes
  * @param {(...args: any[]) => void} log
- * @returns {Promise<string>}
  */
-async function findWorkerDest(root, log) {
+function includePagesRoutes(dir, routes, log) {
+	const routesPath = path.join(dir, '_routes.json');
+	if (routes.length === 0 || !existsSync(routesPath)) return;
+
+	/** @type {{ version: number, description?: string, include: string[], exclude: string[] }} */
+	const spec = JSON.parse(readFileSync(routesPath, 'utf-8'));
+	const added = routes.filter((route) => !spec.include.some((rule) => routeMatches(rule, route)));
+	const include = [...spec.include, ...added];
+	const exclude = spec.exclude.filter(
+		(rule) => !routes.some((route) => routeMatches(route, rule) || routeMatches(rule, route))
+	);
+	if (added.length === 0 && exclude.length === spec.exclude.length) return;
+
+	if (include.length > 100) {
+		throw new Error(
+			`[sveltekit-cloudflare-worker] _routes.json can't have more than 100 include rules, and pagesRoutes adds ${added.length} to ${spec.include.length}.`
+		);
+	}
+	const excess = include.length + exclude.length - 100;
+	if (excess > 0) {
+		console.warn(
+			`[sveltekit-cloudflare-worker] _routes.json exceeds 100 rules with pagesRoutes. Dropping ${excess} exclude rules, so more requests invoke the worker.`
+		);
+		exclude.length -= excess;
+	}
+
+	writeFileSync(routesPath, JSON.stringify({ ...spec, include, exclude }, null, '\t'));
+	log(
+		`Updated _routes.json: added [${added.join(', ')}] to include, ` +
+			`dropped ${spec.exclude.length - exclude.length} exclude rules`
+	);
+}
+
+/**
+ * Whether a `_routes.json` rule matches a path. `*` matches any characters, including `/`,
+ * so a rule also matches a path pattern it covers (`/api/*` matches `/api/users/*`).
+ * @param {string} rule
+ * @param {string} route
+ * @returns {boolean}
+ */
+function routeMatches(rule, route) {
+	return new RegExp(`^${rule.split('*').map(escapeRegExp).join('.*')}$`).test(route);
+}
+
+/**
+ * @param {string[]} problems
+ * @param {string} [heading]
+ * @returns {string}
+ */
+function formatProblems(problems, heading = 'The worker does not match the wrangler config') {
+	return (
+		`[sveltekit-cloudflare-worker] ${heading}:\n` +
+		problems.map((problem) => `  - ${problem}`).join('\n')
+	);
+}
+
+/**
+ * Print validation problems as a warning (dev mode keeps running).
+ * @param {{ errors: string[], warnings: string[] }} problems
+ */
+function warnProblems({ errors, warnings }) {
+	if (errors.length + warnings.length > 0) {
+		console.warn(formatProblems([...errors, ...warnings]));
+	}
+}
+
+/**
+ * Print the warnings of `exportWarnings`, if any.
+ * @param {string[]} warnings
+ * @param {(message: string) => void} warn
+ */
+function warnExports(warnings, warn) {
+	if (warnings.length > 0) {
+		warn(formatProblems(warnings, "Some exports of the worker can't be used"));
+	}
+}
+
+/**
+ * Read the wrangler config, logging instead of throwing when it is missing or invalid.
+ * @param {(...args: any[]) => void} log
+ * @param {string} [wranglerEnv]
+ * @returns {Promise<import('wrangler').Unstable_Config | undefined>}
+ */
+async function loadWranglerConfig(log, wranglerEnv) {
 	try {
-		const { unstable_readConfig } = await import('wrangler');
-		const config = unstable_readConfig({}, { hideWarnings: true });
-		if (config.main) {
-			return path.resolve(root, config.main);
-		}
+		return await readWranglerConfig(undefined, wranglerEnv);
 	} catch (e) {
 		log(`Warning: Failed to read wrangler config: ${e.message}`);
 	}
+}
 
-	return path.resolve(root, '.svelte-kit/cloudflare/_worker.js');
+/**
+ * Read the wrangler config with wrangler's own parser (JSONC, JSON and TOML).
+ * @param {string} [configPath] Defaults to wrangler's own lookup from the cwd
+ * @param {string} [wranglerEnv] Resolve the config of this environment (`env.<name>`)
+ * @returns {Promise<import('wrangler').Unstable_Config>}
+ */
+async function readWranglerConfig(configPath, wranglerEnv) {
+	const { unstable_readConfig } = await import('wrangler');
+	return unstable_readConfig({ config: configPath, env: wranglerEnv }, { hideWarnings: true });
+}
+
+// --- SvelteKit aliases and virtual modules ---
+
+const ENV_MODULES = [
+	'$env/static/private',
+	'$env/static/public',
+	'$env/dynamic/private',
+	'$env/dynamic/public'
+];
+
+const VALID_IDENTIFIER = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/;
+
+/**
+ * `assets` is where files imported with `?url` go: `dir` in the static assets directory (under
+ * `paths.base`, like the adapter's client files), served at `url`.
+ * @typedef {{
+ *   aliases: { find: string | RegExp, replacement: string }[],
+ *   env: { vars: Record<string, string>, publicPrefix: string, privatePrefix: string },
+ *   assets: { dir: string, url: string }
+ * }} WorkerResolve
+ */
+
+/**
+ * Collect what the worker bundle needs to resolve imports like SvelteKit routes do:
+ * `$lib`, `kit.alias` and Vite `resolve.alias`, plus the env for `$env/static/*`.
+ * Dev and build both call this with the user's Vite config so they resolve the same way.
+ * @param {string} root
+ * @param {import('vite').UserConfig} userConfig
+ * @param {string} mode
+ * @returns {Promise<WorkerResolve>}
+ */
+async function resolveWorkerImports(root, userConfig, mode) {
+	const kit = await loadKitConfig(root);
+
+	// Mirrors SvelteKit's get_config_aliases
+	/** @type {WorkerResolve['aliases']} */
+	const aliases = [{ find: '$lib', replacement: path.resolve(root, kit.files?.lib ?? 'src/lib') }];
+	const kitAlias = kit.alias ?? {};
+	for (const [key, value] of Object.entries(kitAlias)) {
+		const replacement = path.resolve(root, value.replace(/\/\*$/, ''));
+		if (key.endsWith('/*')) {
+			aliases.push({
+				find: new RegExp(`^${escapeRegExp(key.slice(0, -2))}\\/(.+)$`),
+				replacement: `${replacement}/$1`
+			});
+		} else if (key + '/*' in kitAlias) {
+			aliases.push({ find: new RegExp(`^${escapeRegExp(key)}$`), replacement });
+		} else {
+			aliases.push({ find: key, replacement });
+		}
+	}
+
+	const viteAlias = userConfig.resolve?.alias ?? [];
+	if (Array.isArray(viteAlias)) {
+		aliases.push(...viteAlias);
+	} else {
+		for (const [find, replacement] of Object.entries(viteAlias)) {
+			aliases.push({ find, replacement });
+		}
+	}
+
+	// Next to the app's own assets, under the immutable cache headers the adapter sets
+	const assetsDir = `${kit.appDir ?? '_app'}/immutable/assets`;
+	const base = kit.paths?.base ?? '';
+
+	return {
+		aliases,
+		env: {
+			vars: loadEnv(mode, path.resolve(root, kit.env?.dir ?? '.'), ''),
+			publicPrefix: kit.env?.publicPrefix ?? 'PUBLIC_',
+			privatePrefix: kit.env?.privatePrefix ?? ''
+		},
+		assets: {
+			dir: `${base}/${assetsDir}`.slice(1),
+			url: `${kit.paths?.assets || kit.paths?.base || ''}/${assetsDir}`
+		}
+	};
+}
+
+/**
+ * Load the `kit` options from svelte.config.js, if there is one.
+ * @param {string} root
+ * @returns {Promise<Record<string, any>>}
+ */
+async function loadKitConfig(root) {
+	const configPath = path.join(root, 'svelte.config.js');
+	if (!existsSync(configPath)) return {};
+
+	const config = await import(pathToFileURL(configPath).href);
+	return config.default?.kit ?? {};
+}
+
+/**
+ * Apply the first matching alias to an import path, like Vite's alias plugin.
+ * @param {string} id
+ * @param {WorkerResolve['aliases']} aliases
+ * @returns {string | undefined}
+ */
+function applyAlias(id, aliases) {
+	for (const { find, replacement } of aliases) {
+		if (typeof find === 'string') {
+			if (id === find || id.startsWith(find + '/')) {
+				return replacement + id.slice(find.length);
+			}
+		} else if (find.test(id)) {
+			return id.replace(find, replacement);
+		}
+	}
+}
+
+/**
+ * Identify SvelteKit's own modules, both as written (`$app/navigation`) and after
+ * Vite's alias plugin has pointed `$app` at the kit runtime.
+ * @param {string} id
+ * @returns {string | undefined} The module as the user wrote it
+ */
+function svelteKitModule(id) {
+	if (/^\$(env|app)\//.test(id) || id === '$service-worker') return id;
+
+	const runtime =
+		/[\\/]@sveltejs[\\/]kit[\\/]src[\\/]runtime[\\/]app[\\/]([^?]+?)(?:[\\/]index)?(?:\.js)?(?:\?|$)/.exec(
+			id
+		);
+	if (runtime) return `$app/${runtime[1].replace(/\\/g, '/')}`;
+}
+
+/**
+ * @param {string} module
+ * @param {string} workerFile
+ * @returns {string}
+ */
+function unsupportedModuleMessage(module, workerFile) {
+	return (
+		`[sveltekit-cloudflare-worker] "${module}" can't be imported from ${workerFile} or its imports. ` +
+		`Outside of SvelteKit only $lib, kit.alias, Vite aliases and ${ENV_MODULES.join(', ')} are available.`
+	);
+}
+
+/**
+ * Generate the code of a `$env/*` module for the worker. Static modules inline the values
+ * loaded by Vite, dynamic ones read the worker's env from `cloudflare:workers` at runtime.
+ * Variables are split between public and private with SvelteKit's prefix rules.
+ * @param {string} module
+ * @param {WorkerResolve['env']} env
+ * @returns {string}
+ */
+function envModule(module, { vars, publicPrefix, privatePrefix }) {
+	const isPublic = module.endsWith('/public');
+	const allowed = isPublic ? publicPrefix : privatePrefix;
+	const disallowed = isPublic ? privatePrefix : publicPrefix;
+	/** @param {string} key */
+	const matches = (key) =>
+		key.startsWith(allowed) && (disallowed === '' || !key.startsWith(disallowed));
+
+	if (module.startsWith('$env/static/')) {
+		return Object.entries(vars)
+			.filter(([key]) => VALID_IDENTIFIER.test(key) && matches(key))
+			.map(([key, value]) => `export const ${key} = ${JSON.stringify(value)};`)
+			.join('\n');
+	}
+
+	const condition =
+		`key.startsWith(${JSON.stringify(allowed)})` +
+		(disallowed === '' ? '' : ` && !key.startsWith(${JSON.stringify(disallowed)})`);
+	return (
+		`import { env as platformEnv } from 'cloudflare:workers';\n` +
+		`export const env = Object.fromEntries(Object.entries(platformEnv).filter(([key]) => ${condition}));\n`
+	);
+}
+
+/**
+ * Files the worker bundle imports without inlining them, by their path in the output:
+ * `modules` go next to `_user-worker.js` with their rule's type, `assets` among the static assets.
+ * @typedef {{
+ *   modules: Map<string, { file: string, type: string }>,
+ *   assets: Map<string, string>
+ * }} EmittedFiles
+ */
+
+/**
+ * esbuild plugin resolving aliases, `$env/*`, Node built-ins, wrangler module rules and the
+ * `?raw` and `?url` imports for the standalone worker bundle.
+ * Built-ins are left to workerd when the wrangler config enables them, as wrangler does, and
+ * rejected otherwise, unless a bare name (`buffer`) resolves to an installed package.
+ * Modules matched by a rule are imported as `./<sha1>-<name>`, the form wrangler gives them.
+ * @param {WorkerResolve} workerResolve
+ * @param {string} workerFile
+ * @param {import('wrangler').Unstable_Config} [config]
+ * @param {EmittedFiles} [emitted] Collects the files to write next to the bundle
+ * @returns {import('esbuild').Plugin}
+ */
+function esbuildResolvePlugin(workerResolve, workerFile, config, emitted) {
+	const nodeCompat = nodeCompatModules(config);
+	return {
+		name: 'sveltekit-cloudflare-worker:resolve',
+		setup(build) {
+			/**
+			 * Resolve an import without its query, as esbuild would without this plugin.
+			 * @param {import('esbuild').OnResolveArgs} args
+			 */
+			const resolveFile = (args) =>
+				build.resolve(args.path.replace(/\?.*$/, ''), {
+					importer: args.importer,
+					resolveDir: args.resolveDir,
+					kind: args.kind,
+					pluginData: { ...args.pluginData, file: true }
+				});
+
+			for (const rule of moduleRules(config)) {
+				build.onResolve({ filter: rule.pattern }, async (args) => {
+					if (args.pluginData?.file) return;
+					const resolved = await resolveFile(args);
+					if (resolved.errors.length > 0) return { errors: resolved.errors };
+					const name = `${fileHash(resolved.path)}-${path.basename(resolved.path)}`;
+					emitted?.modules.set(name, { file: resolved.path, type: rule.type });
+					return { path: `./${name}`, external: true };
+				});
+			}
+
+			build.onResolve({ filter: /\?(raw|url)$/ }, async (args) => {
+				if (args.pluginData?.file) return;
+				const resolved = await resolveFile(args);
+				if (resolved.errors.length > 0) return { errors: resolved.errors };
+				const query = args.path.endsWith('?raw') ? 'raw' : 'url';
+				return { path: resolved.path, namespace: `sveltekit-${query}` };
+			});
+
+			build.onLoad({ filter: /.*/, namespace: 'sveltekit-raw' }, (args) => ({
+				contents: readFileSync(args.path),
+				loader: 'text'
+			}));
+
+			build.onLoad({ filter: /.*/, namespace: 'sveltekit-url' }, (args) => {
+				const ext = path.extname(args.path);
+				const name = `${path.basename(args.path, ext)}-${fileHash(args.path).slice(0, 8)}${ext}`;
+				emitted?.assets.set(`${workerResolve.assets.dir}/${name}`, args.path);
+				return {
+					contents: `export default ${JSON.stringify(`${workerResolve.assets.url}/${name}`)};`,
+					loader: 'js'
+				};
+			});
+
+			build.onResolve({ filter: /^[^./]/ }, async (args) => {
+				const module = nodeBuiltin(args.path);
+				if (!module || args.pluginData?.builtin) return;
+				if (nodeCompat(module)) {
+					return { path: `node:${module}`, external: true };
+				}
+				if (!args.path.startsWith('node:')) {
+					const resolved = await build.resolve(args.path, {
+						importer: args.importer,
+						resolveDir: args.resolveDir,
+						kind: args.kind,
+						pluginData: { ...args.pluginData, builtin: true }
+					});
+					if (resolved.errors.length === 0) return resolved;
+				}
+				return { errors: [{ text: nodeBuiltinMessage(args.path, args.importer, config) }] };
+			});
+
+			build.onResolve({ filter: /^\$(env|app|service-worker)\b/ }, (args) => {
+				if (!ENV_MODULES.includes(args.path)) {
+					return { errors: [{ text: unsupportedModuleMessage(args.path, workerFile) }] };
+				}
+				return { path: args.path, namespace: 'sveltekit-env' };
+			});
+
+			build.onLoad({ filter: /.*/, namespace: 'sveltekit-env' }, (args) => ({
+				contents: envModule(args.path, workerResolve.env),
+				loader: 'js'
+			}));
+
+			build.onResolve({ filter: /^[^./]/ }, async (args) => {
+				if (args.pluginData?.aliased) return;
+				const aliased = applyAlias(args.path, workerResolve.aliases);
+				if (aliased === undefined) return;
+				return build.resolve(aliased, {
+					importer: args.importer,
+					resolveDir: args.resolveDir,
+					kind: args.kind,
+					pluginData: { ...args.pluginData, aliased: true }
+				});
+			});
+		}
+	};
+}
+
+// How @cloudflare/vite-plugin refers to an additional module in dev
+const CLOUDFLARE_MODULE_REFERENCE = /^__CLOUDFLARE_MODULE__\w+?__(.*)__CLOUDFLARE_MODULE__$/;
+
+/**
+ * @param {string} file
+ * @returns {string} The SHA-1 of the file's content, as wrangler names additional modules
+ */
+function fileHash(file) {
+	return createHash('sha1').update(readFileSync(file)).digest('hex');
+}
+
+/**
+ * Whether a Vite environment runs the worker, rather than SvelteKit's client or SSR build.
+ * @param {{ name: string } | undefined} environment
+ * @returns {boolean}
+ */
+function isWorkerEnvironment(environment) {
+	return !!environment && environment.name !== 'client' && environment.name !== 'ssr';
 }
@@ -0,0 +1,83 @@
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { cloudflareWorker, proxyConfig } from './index.js';
+
+describe('proxyConfig', () => {
+	let dir: string;
+	const cwd = process.cwd();
+
+	beforeAll(() => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-proxy-config-'));
+		writeFileSync(
+			path.join(dir, 'wrangler.jsonc'),
+			JSON.stringify({
+				name: 'proxy',
+				compatibility_date: '2025-01-01',
+				durable_objects: { bindings: [{ name: 'COUNTER', class_name: 'Counter' }] },
+				migrations: [{ tag: 'v1', new_sqlite_classes: ['Counter'] }],
+				env: { staging: { vars: { STAGE: 'staging' } } }
+			})
+		);
+		mkdirSync(path.join(dir, 'src/server'), { recursive: true });
+		writeFileSync(path.join(dir, 'src/server/worker.ts'), 'export class Counter {}\n');
+		process.chdir(dir);
+	});
+
+	afterEach(() => {
+		delete process.env.CLOUDFLARE_ENV;
+	});
+
+	afterAll(() => {
+		process.chdir(cwd);
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('marks the Durable Object bindings of this worker as its own', async () => {
+		const outPath = await proxyConfig(path.join(dir, 'wrangler.jsonc'));
+		const config = JSON.parse(readFileSync(outPath, 'utf-8'));
+		expect(config.durable_objects.bindings).toEqual([
+			{ name: 'COUNTER', class_name: 'Counter', script_name: 'self' }
+		]);
+	});
+
+	it('repeats the config of an environment under its name', async () => {
+		const outPath = await proxyConfig(path.join(dir, 'wrangler.jsonc'), {
+			wranglerEnv: 'staging'
+		});
+		const config = JSON.parse(readFileSync(outPath, 'utf-8'));
+		expect(config.env.staging.vars).toEqual({ STAGE: 'staging' });
+	});
+
+	it('looks the classes up in the worker file it is given', async () => {
+		await proxyConfig(path.join(dir, 'wrangler.jsonc'), { workerFile: 'src/server/worker.ts' });
+		const types = readFileSync(path.join(dir, '.svelte-kit/cloudflare-worker/env.d.ts'), 'utf-8');
+		expect(types).toContain("import('../../src/server/worker.ts')");
+		expect(types).toContain('COUNTER: DurableObjectNamespace<WorkerClass<"Counter">>');
+	});
+
+	// svelte.config.js loads before the plugin resolves the environment
+	async function buildWith(wranglerEnv: string) {
+		const plugins = await cloudflareWorker({ wranglerEnv });
+		const build = plugins.find((plugin) => plugin.name === 'sveltekit-cloudflare-worker:build');
+		const config = build!.config as (...args: unknown[]) => Promise<void>;
+		await config({ root: dir }, { mode: 'production', command: 'build' });
+	}
+
+	it('is written again for the environment the plugin resolves', async () => {
+		const outPath = await proxyConfig(path.join(dir, 'wrangler.jsonc'));
+		await buildWith('staging');
+		const config = JSON.parse(readFileSync(outPath, 'utf-8'));
+		expect(config.env.staging.vars).toEqual({ STAGE: 'staging' });
+	});
+
+	it('keeps the environment it was given', async () => {
+		const outPath = await proxyConfig(path.join(dir, 'wrangler.jsonc'), {
+			wranglerEnv: 'staging'
+		});
+		await buildWith('production');
+		const config = JSON.parse(readFileSync(outPath, 'utf-8'));
+		expect(Object.keys(config.env)).toEqual(['staging']);
+	});
+});
@@ -0,0 +1,165 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { ERROR_HEADER, LOCALS_HEADER, workerLocals } from './hooks.js';
+import { createWorkerTestContext, type WorkerTestContext } from './index.js';
+
+describe('createWorkerTestContext', () => {
+	let dir: string;
+	let context: WorkerTestContext<{ GREETING: string }>;
+
+	beforeAll(async () => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-test-context-'));
+		// The assets directory is the adapter output, which doesn't exist without a build
+		writeFileSync(
+			path.join(dir, 'wrangler.jsonc'),
+			JSON.stringify({
+				name: 'test-context',
+				main: '.svelte-kit/cloudflare/_worker.js',
+				compatibility_date: '2025-01-01',
+				vars: { GREETING: 'hello' },
+				assets: { binding: 'ASSETS', directory: '.svelte-kit/cloudflare' }
+			})
+		);
+		writeFileSync(
+			path.join(dir, 'worker.ts'),
+			`export async function fetch(request: Request, env: any, ctx: unknown, next: any) {
+	const url = new URL(request.url);
+	if (url.pathname === '/api') return Response.json({ greeting: env.GREETING });
+	if (url.pathname === '/boom') throw new Error('boom');
+	if (url.pathname === '/locals') return next({ locals: { tenant: 'acme' } });
+	if (url.pathname === '/again') {
+		await (await next({ headers: { 'x-skip': '1' } })).text();
+		return next();
+	}
+}
+
+export function onError() {}
+`
+		);
+
+		context = await createWorkerTestContext({
+			workerFile: path.join(dir, 'worker.ts'),
+			wranglerConfig: path.join(dir, 'wrangler.jsonc'),
+			sveltekit: async (request) => {
+				const url = new URL(request.url);
+				const error = request.headers.get(ERROR_HEADER);
+				// `?hook` stands for an app with the workerError hook, which rethrows the error
+				if (error && url.searchParams.has('hook')) {
+					const { message } = JSON.parse(decodeURIComponent(error));
+					return new Response(`${message} ${request.method} ${await request.text()}`, {
+						status: 500
+					});
+				}
+				if (url.pathname === '/again' && !request.headers.has('x-skip')) {
+					return new Response(`sveltekit ${await request.text()}`);
+				}
+				if (url.pathname === '/locals') {
+					return workerLocals({
+						event: { request, locals: {} } as never,
+						resolve: ({ locals, request }) =>
+							Response.json({ locals, header: request.headers.has(LOCALS_HEADER) })
+					});
+				}
+				return new Response(`sveltekit ${request.method} ${url.pathname}`);
+			}
+		});
+	});
+
+	afterAll(async () => {
+		await context?.dispose();
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('boots without a build', async () => {
+		const response = await context.fetch('/api');
+		expect(await response.json()).toEqual({ greeting: 'hello' });
+		expect(context.env.GREETING).toBe('hello');
+	});
+
+	it('falls through to sveltekit', async () => {
+		const response = await context.fetch('/about', { method: 'POST', body: 'x' });
+		expect(await response.text()).toBe('sveltekit POST /about');
+	});
+
+	it('keeps the body for a later next() while sveltekit leaves it unread', async () => {
+		const response = await context.fetch('/again', { method: 'POST', body: 'payload' });
+		expect(await response.text()).toBe('sveltekit payload');
+	});
+
+	it('hands locals to sveltekit in a header that workerLocals removes', async () => {
+		const response = await context.fetch('/locals');
+		expect(await response.json()).toEqual({ locals: { tenant: 'acme' }, header: false });
+	});
+
+	it('falls through with the error, method and body when onError returns nothing', async () => {
+		const response = await context.fetch('/boom?hook', { method: 'POST', body: 'payload' });
+		expect(response.status).toBe(500);
+		expect(await response.text()).toBe('boom POST payload');
+	});
+
+	it('responds with a 500 when sveltekit ignores the error', async () => {
+		const response = await context.fetch('/boom');
+		expect(response.status).toBe(500);
+	});
+});
+
+describe('dispatch maps', () => {
+	let dir: string;
+	let context: WorkerTestContext;
+
+	beforeAll(async () => {
+		dir = mkdtempSync(path.join(tmpdir(), 'worker-test-maps-'));
+		writeFileSync(
+			path.join(dir, 'wrangler.jsonc'),
+			JSON.stringify({ name: 'test-maps', compatibility_date: '2025-01-01' })
+		);
+		writeFileSync(
+			path.join(dir, 'worker.ts'),
+			`export const queues = {
+	emails: (batch: any) => batch.ackAll(),
+	thumbnails: (batch: any) => batch.retryAll()
+};
+
+export const crons = {
+	'0 * * * *': () => {},
+	'0 3 * * *': (controller: any) => controller.noRetry()
+};
+`
+		);
+		context = await createWorkerTestContext({
+			workerFile: path.join(dir, 'worker.ts'),
+			wranglerConfig: path.join(dir, 'wrangler.jsonc')
+		});
+	});
+
+	afterAll(async () => {
+		await context?.dispose();
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('routes each batch to the handler of its queue', async () => {
+		const emails = await context.queue('emails', [{ to: 'a@example.com' }]);
+		expect(emails).toMatchObject({ outcome: 'ok', ackAll: true });
+		const thumbnails = await context.queue('thumbnails', [{ id: 1 }]);
+		expect(thumbnails).toMatchObject({ outcome: 'ok', retryBatch: { retry: true } });
+	});
+
+	it('fails batches of a queue without a handler', async () => {
+		const result = await context.queue('invoices', [{ id: 1 }]);
+		expect(result.outcome).toBe('exception');
+	});
+
+	it('runs the handler of the cron that fired', async () => {
+		expect(await context.scheduled({ cron: '0 * * * *' })).toEqual({
+			outcome: 'ok',
+			noRetry: false
+		});
+		expect(await context.scheduled({ cron: '0 3 * * *' })).toEqual({
+			outcome: 'ok',
+			noRetry: true
+		});
+		expect((await context.scheduled({ cron: '*/5 * * * *' })).outcome).toBe('exception');
+	});
+});
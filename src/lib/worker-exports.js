@@ -0,0 +1,562 @@
+import path from 'node:path';
+import { parseAst } from 'vite';
+
+export const KNOWN_HANDLERS = [
+	'fetch',
+	'scheduled',
+	'queue',
+	'email',
+	'tail',
+	'trace',
+	'tailStream'
+];
+
+// Export that receives the errors thrown by every handler
+export const ERROR_HOOK = 'onError';
+
+/**
+ * Object exports that map a key to a handler. The generated entry compiles each one
+ * into the `handler` method, dispatching on `key` and falling back to the plain
+ * handler export when the worker has one.
+ * @type {Record<string, { handler: string, event: string, type: string, key: string, label: string }>}
+ */
+export const DISPATCH_MAPS = {
+	queues: {
+		handler: 'queue',
+		event: 'batch',
+		type: 'MessageBatch',
+		key: 'batch.queue',
+		label: 'queue'
+	},
+	crons: {
+		handler: 'scheduled',
+		event: 'controller',
+		type: 'ScheduledController',
+		key: 'controller.cron',
+		label: 'cron'
+	}
+};
+
+/**
+ * @typedef {{ handlers: string[], classes: string[], kinds: Record<string, ClassKind>, values: string[], maps: Record<string, string[] | null>, hasDefault: boolean, defaultHandlers: string[], hasOnError: boolean }} WorkerExports
+ * `kinds` tells what each of the `classes` extends. `values` are the other exports, left out of the worker.
+ * `maps` holds the keys of each dispatch map export, or null when they can't be read statically.
+ * `hasDefault` is set when the worker has its own default export (handler object or WorkerEntrypoint).
+ * `defaultHandlers` are the handlers of that default export, as far as they can be read statically.
+ * `hasOnError` is set when the worker exports an `onError` hook.
+ */
+
+/**
+ * Classify export names into handlers, classes and values, and read the keys of dispatch maps.
+ * Classes are re-exported from the worker; values (constants, functions, instances) are not,
+ * since workerd can't use them. Exports the bundle doesn't tell apart statically, such as the
+ * result of a mixin call, are kept as classes of unknown kind.
+ * A default export can't be combined with named handler exports, since it is unclear which
+ * of the two should handle events. Classes can't take the names the generated entry binds.
+ * @param {string[]} exportNames
+ * @param {string} code The bundled worker
+ * @param {string} workerFile
+ * @returns {WorkerExports}
+ */
+export function classifyExports(exportNames, code, workerFile) {
+	const handlers = [];
+	const classes = [];
+	const values = [];
+	/** @type {Record<string, ClassKind>} */
+	const kinds = {};
+	/** @type {Record<string, string[] | null>} */
+	const maps = {};
+	const hasDefault = exportNames.includes('default');
+	const hasOnError = exportNames.includes(ERROR_HOOK);
+	const bindings = readModuleBindings(code);
+
+	for (const name of exportNames) {
+		if (name === 'default' || name === ERROR_HOOK) continue;
+		if (KNOWN_HANDLERS.includes(name)) {
+			handlers.push(name);
+		} else if (name in DISPATCH_MAPS) {
+			handlers.push(name);
+			maps[name] = null;
+		} else {
+			const kind = bindings ? bindingKind(bindings, bindings.exports.get(name) ?? name) : 'unknown';
+			if (kind === 'value') {
+				values.push(name);
+			} else {
+				classes.push(name);
+				kinds[name] = kind;
+			}
+		}
+	}
+
+	if (hasDefault && handlers.length > 0) {
+		throw new Error(
+			`[sveltekit-cloudflare-worker] ${workerFile} has a default export and named handler exports (${handlers.join(', ')}). ` +
+				'Move the handlers onto the default export, or drop the default export.'
+		);
+	}
+
+	const reserved = classes.filter((name) => name === 'worker_default' || name.startsWith('__'));
+	if (reserved.length > 0) {
+		throw new Error(
+			`[sveltekit-cloudflare-worker] ${workerFile} exports ${reserved.map((name) => `"${name}"`).join(', ')}, ` +
+				'but the generated worker entry binds `worker_default` to the SvelteKit worker and `__`-prefixed names to its own helpers. Rename them.'
+		);
+	}
+
+	if (bindings && Object.keys(maps).length > 0) {
+		Object.assign(maps, readObjectKeys(bindings, Object.keys(maps)));
+	}
+
+	const defaultHandlers = hasDefault && bindings ? readDefaultHandlers(bindings) : [];
+
+	return { handlers, classes, kinds, values, maps, hasDefault, defaultHandlers, hasOnError };
+}
+
+/**
+ * Warn about the exports the worker can't use: values, which aren't re-exported, and names a
+ * typo away from a handler (`schedule` for `scheduled`), which workerd would never call.
+ * @param {string} workerFile
+ * @param {WorkerExports} exports
+ * @returns {string[]}
+ */
+export function exportWarnings(workerFile, exports) {
+	/** @param {string} name */
+	const hint = (name) => {
+		const suggestion = suggestHandler(name);
+		return suggestion ? ` Did you mean \`${suggestion}\`?` : '';
+	};
+	const warnings = exports.values.map(
+		(name) =>
+			`${workerFile} exports "${name}", which is neither a handler nor a class, so the worker doesn't export it.${hint(name)}`
+	);
+
+	for (const name of exports.classes) {
+		if (exports.kinds[name] === 'unknown' && hint(name)) {
+			warnings.push(
+				`${workerFile} exports "${name}", which isn't a handler, so workerd never calls it.${hint(name)}`
+			);
+		}
+	}
+
+	return warnings;
+}
+
+/**
+ * The handler export a name is most likely a typo of: the same name in another case, or a
+ * few edits away (one for short names, two for longer ones).
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+export function suggestHandler(name) {
+	const candidates = [...KNOWN_HANDLERS, ...Object.keys(DISPATCH_MAPS), ERROR_HOOK];
+	let best;
+	let bestDistance = Infinity;
+	for (const candidate of candidates) {
+		const distance =
+			candidate.toLowerCase() === name.toLowerCase() ? 0 : editDistance(name, candidate);
+		const allowed = Math.min(2, Math.floor(candidate.length / 3));
+		if (distance <= allowed && distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+	return best;
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * @typedef {'DurableObject' | 'WorkflowEntrypoint' | 'WorkerEntrypoint' | 'class' | 'unknown'} ClassKind
+ * `class` is any other class, such as a Durable Object that doesn't extend `DurableObject`.
+ * `unknown` is an export that can't be told apart statically.
+ * @typedef {{
+ *   exports: Map<string, string>,
+ *   declarations: Map<string, any>,
+ *   imports: Map<string, { source: string, name: string }>
+ * }} ModuleBindings
+ */
+
+/** Base classes from `cloudflare:workers` that decide what an exported class is. */
+const CLASS_KINDS = ['DurableObject', 'WorkflowEntrypoint', 'WorkerEntrypoint'];
+
+/** Expressions that evaluate to something other than a class. */
+const VALUE_NODES = [
+	'Literal',
+	'TemplateLiteral',
+	'ObjectExpression',
+	'ArrayExpression',
+	'ArrowFunctionExpression',
+	'FunctionExpression',
+	'FunctionDeclaration',
+	'NewExpression',
+	'UnaryExpression',
+	'BinaryExpression'
+];
+
+/**
+ * Read the top-level bindings of the bundled worker: exported name -> local name, local name ->
+ * declaration (a class or function declaration, or a variable's initializer), and the imports.
+ * @param {string} code
+ * @returns {ModuleBindings | undefined} undefined when the code doesn't parse
+ */
+export function readModuleBindings(code) {
+	/** @type {any} */
+	let ast;
+	try {
+		ast = parseAst(code);
+	} catch {
+		return undefined;
+	}
+
+	/** @type {ModuleBindings} */
+	const bindings = { exports: new Map(), declarations: new Map(), imports: new Map() };
+
+	for (const node of ast.body) {
+		if (node.type === 'ImportDeclaration') {
+			for (const specifier of node.specifiers) {
+				bindings.imports.set(specifier.local.name, {
+					source: node.source.value,
+					name:
+						specifier.type === 'ImportSpecifier'
+							? (specifier.imported.name ?? specifier.imported.value)
+							: specifier.type === 'ImportDefaultSpecifier'
+								? 'default'
+								: '*'
+				});
+			}
+			continue;
+		}
+
+		const declaration = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+		const exported = node !== declaration;
+		if (declaration?.type === 'VariableDeclaration') {
+			for (const declarator of declaration.declarations) {
+				if (declarator.id.type !== 'Identifier') continue;
+				bindings.declarations.set(declarator.id.name, declarator.init);
+				if (exported) bindings.exports.set(declarator.id.name, declarator.id.name);
+			}
+		} else if (
+			(declaration?.type === 'ClassDeclaration' || declaration?.type === 'FunctionDeclaration') &&
+			declaration.id
+		) {
+			bindings.declarations.set(declaration.id.name, declaration);
+			if (exported) bindings.exports.set(declaration.id.name, declaration.id.name);
+		}
+		if (node.type === 'ExportNamedDeclaration' && !node.source) {
+			for (const specifier of node.specifiers) {
+				bindings.exports.set(specifier.exported.name, specifier.local.name);
+			}
+		}
+	}
+
+	return bindings;
+}
+
+/**
+ * What a top-level binding holds: a class and what it extends, or a value.
+ * @param {ModuleBindings} bindings
+ * @param {string} local
+ * @param {Set<string>} [seen] Guards against cycles through aliases
+ * @returns {ClassKind | 'value'}
+ */
+function bindingKind(bindings, local, seen = new Set()) {
+	if (seen.has(local)) return 'unknown';
+	seen.add(local);
+
+	const node = bindings.declarations.get(local);
+	if (node?.type === 'ClassDeclaration' || node?.type === 'ClassExpression') {
+		return node.superClass ? superClassKind(bindings, node.superClass, seen) : 'class';
+	}
+	if (node?.type === 'Identifier') return bindingKind(bindings, node.name, seen);
+	if (VALUE_NODES.includes(node?.type)) return 'value';
+	return 'unknown';
+}
+
+/**
+ * What a class is, from the expression it extends: a `cloudflare:workers` base class (imported
+ * by name or through a namespace), or another class of the bundle to follow.
+ * @param {ModuleBindings} bindings
+ * @param {any} superClass
+ * @param {Set<string>} seen
+ * @returns {ClassKind}
+ */
+function superClassKind(bindings, superClass, seen) {
+	if (superClass.type === 'Identifier') {
+		const imported = bindings.imports.get(superClass.name);
+		if (imported) {
+			return imported.source === 'cloudflare:workers' && CLASS_KINDS.includes(imported.name)
+				? /** @type {ClassKind} */ (imported.name)
+				: 'class';
+		}
+		const kind = bindingKind(bindings, superClass.name, seen);
+		return kind === 'value' || kind === 'unknown' ? 'class' : kind;
+	}
+
+	if (
+		superClass.type === 'MemberExpression' &&
+		superClass.object.type === 'Identifier' &&
+		superClass.property.type === 'Identifier' &&
+		bindings.imports.get(superClass.object.name)?.source === 'cloudflare:workers' &&
+		CLASS_KINDS.includes(superClass.property.name)
+	) {
+		return superClass.property.name;
+	}
+
+	return 'class';
+}
+
+/**
+ * Statically read the keys of exported object literals, e.g. `export const queues = { emails, ... }`.
+ * Exports that aren't a plain object literal (computed keys, spreads, function calls) are left out.
+ * @param {ModuleBindings} bindings
+ * @param {string[]} exportNames
+ * @returns {Record<string, string[]>}
+ */
+function readObjectKeys(bindings, exportNames) {
+	/** @type {Record<string, string[]>} */
+	const result = {};
+	for (const name of exportNames) {
+		const init = bindings.declarations.get(bindings.exports.get(name) ?? '');
+		if (init?.type !== 'ObjectExpression') continue;
+
+		const keys = [];
+		for (const property of init.properties) {
+			if (property.type !== 'Property' || property.computed) break;
+			keys.push(
+				property.key.type === 'Identifier' ? property.key.name : String(property.key.value)
+			);
+		}
+		if (keys.length === init.properties.length) result[name] = keys;
+	}
+
+	return result;
+}
+
+/**
+ * Statically read the handlers of the default export: the keys of an object literal
+ * (`export default { fetch, scheduled }`) or the methods of a class (a `WorkerEntrypoint`).
+ * @param {ModuleBindings} bindings
+ * @returns {string[]}
+ */
+function readDefaultHandlers(bindings) {
+	let node = bindings.declarations.get(bindings.exports.get('default') ?? '');
+	const seen = new Set();
+	while (node?.type === 'Identifier' && !seen.has(node.name)) {
+		seen.add(node.name);
+		node = bindings.declarations.get(node.name);
+	}
+
+	/** @type {any[]} */
+	let members = [];
+	if (node?.type === 'ObjectExpression') {
+		members = node.properties.filter((/** @type {any} */ p) => p.type === 'Property');
+	} else if (node?.type === 'ClassDeclaration' || node?.type === 'ClassExpression') {
+		members = node.body.body.filter(
+			(/** @type {any} */ m) => m.type === 'MethodDefinition' && m.kind === 'method' && !m.static
+		);
+	}
+
+	return members
+		.filter((member) => !member.computed)
+		.map((member) =>
+			member.key.type === 'Identifier' ? member.key.name : String(member.key.value)
+		)
+		.filter((name) => KNOWN_HANDLERS.includes(name));
+}
+
+/**
+ * Cross-check the worker's exports against the wrangler config: every locally bound
+ * Durable Object and Workflow class must be exported and extend the right base class,
+ * every bound or exported Durable Object class must be declared by a migration, and a
+ * Pages project can only export `fetch`.
+ * Dispatch map keys with no matching wrangler trigger are reported as warnings.
+ * @param {string} workerFile
+ * @param {WorkerExports} exports
+ * @param {import('wrangler').Unstable_Config} config
+ * @returns {{ errors: string[], warnings: string[] }} One diagnostic per mismatch
+ */
+export function validateExports(workerFile, exports, config) {
+	const source = config.configPath ? path.basename(config.configPath) : 'the wrangler config';
+	/** @param {{ script_name?: string }} binding */
+	const isLocal = (binding) => !binding.script_name || binding.script_name === config.name;
+
+	const problems = [];
+	const warnings = [];
+
+	const migrated = migratedClasses(config.migrations ?? []);
+	/** @type {Set<string>} */
+	const durableObjects = new Set();
+
+	for (const binding of config.durable_objects?.bindings ?? []) {
+		if (!isLocal(binding)) continue;
+		if (!exports.classes.includes(binding.class_name)) {
+			problems.push(
+				`Durable Object binding "${binding.name}" in ${source} uses class "${binding.class_name}", but ${workerFile} does not export it.`
+			);
+			continue;
+		}
+		const kind = exports.kinds[binding.class_name];
+		if (kind === 'WorkflowEntrypoint' || kind === 'WorkerEntrypoint') {
+			problems.push(
+				`Durable Object binding "${binding.name}" in ${source} uses class "${binding.class_name}", but it extends ${kind}, not DurableObject.`
+			);
+		}
+		durableObjects.add(binding.class_name);
+	}
+
+	// Exported Durable Objects need a migration too, even when only another Worker binds them
+	for (const className of exports.classes) {
+		if (exports.kinds[className] === 'DurableObject') durableObjects.add(className);
+	}
+
+	for (const className of durableObjects) {
+		if (!migrated.has(className)) {
+			problems.push(
+				`Durable Object class "${className}" has no migration in ${source}. Add it to "new_sqlite_classes" (or "new_classes") in a new "migrations" entry.`
+			);
+		}
+	}
+
+	for (const workflow of config.workflows ?? []) {
+		if (!isLocal(workflow)) continue;
+		const kind = exports.kinds[workflow.class_name];
+		if (!exports.classes.includes(workflow.class_name)) {
+			problems.push(
+				`Workflow binding "${workflow.binding}" in ${source} uses class "${workflow.class_name}", but ${workerFile} does not export it.`
+			);
+		} else if (kind === 'DurableObject' || kind === 'WorkerEntrypoint' || kind === 'class') {
+			problems.push(
+				`Workflow binding "${workflow.binding}" in ${source} uses class "${workflow.class_name}", but it ${kind === 'class' ? "doesn't extend WorkflowEntrypoint" : `extends ${kind}, not WorkflowEntrypoint`}.`
+			);
+		}
+	}
+
+	const consumers = (config.queues?.consumers ?? []).map((consumer) => consumer.queue);
+	for (const queue of exports.maps.queues ?? []) {
+		if (!consumers.includes(queue)) {
+			warnings.push(
+				`Queue "${queue}" in the "queues" export of ${workerFile} has no "queues.consumers" entry in ${source}, so it will never receive batches.`
+			);
+		}
+	}
+
+	if (exports.maps.crons) {
+		const triggers = config.triggers?.crons ?? [];
+		for (const cron of exports.maps.crons) {
+			if (!triggers.includes(cron)) {
+				warnings.push(
+					`Cron "${cron}" in the "crons" export of ${workerFile} is not in "triggers.crons" in ${source}, so it will never run.`
+				);
+			}
+		}
+		// A plain `scheduled` export picks up the crons the map doesn't handle
+		if (!exports.handlers.includes('scheduled')) {
+			for (const cron of triggers) {
+				if (!exports.maps.crons.includes(cron)) {
+					warnings.push(
+						`Cron "${cron}" is declared in "triggers.crons" in ${source}, but the "crons" export of ${workerFile} has no handler for it.`
+					);
+				}
+			}
+		}
+	}
+
+	if (isBuildingForPages(config)) {
+		problems.push(...pagesProblems(workerFile, exports));
+	}
+
+	return { errors: problems, warnings };
+}
+
+/**
+ * Replay the wrangler migrations to find the Durable Object classes that exist after the last one.
+ * @param {import('wrangler').Unstable_Config['migrations']} migrations
+ * @returns {Set<string>}
+ */
+function migratedClasses(migrations) {
+	const classes = new Set();
+
+	for (const migration of migrations) {
+		for (const name of migration.new_classes ?? []) classes.add(name);
+		for (const name of migration.new_sqlite_classes ?? []) classes.add(name);
+		for (const { from, to } of migration.renamed_classes ?? []) {
+			classes.delete(from);
+			classes.add(to);
+		}
+		// Not in wrangler's types yet, but accepted in the config
+		/** @type {{ from: string, from_script: string, to: string }[]} */
+		const transferred = /** @type {any} */ (migration).transferred_classes ?? [];
+		for (const { to } of transferred) classes.add(to);
+		for (const name of migration.deleted_classes ?? []) classes.delete(name);
+	}
+
+	return classes;
+}
+
+/**
+ * Whether adapter-cloudflare builds for Cloudflare Pages, decided the way the adapter does:
+ * `CF_PAGES` or `pages_build_output_dir` mean Pages, `main` or `assets` mean Workers, and
+ * a config with neither is a Pages project.
+ * @param {import('wrangler').Unstable_Config} [config]
+ * @returns {boolean}
+ */
+export function isBuildingForPages(config) {
+	if (process.env.CF_PAGES || config?.pages_build_output_dir) {
+		return true;
+	}
+
+	return !config?.main && !config?.assets;
+}
+
+/**
+ * Exports that a Pages deployment can't run: Pages only invokes `fetch`, and can't host
+ * Durable Objects, Workflows or named entrypoints.
+ * @param {string} workerFile
+ * @param {WorkerExports} exports
+ * @returns {string[]} One problem per unsupported export
+ */
+function pagesProblems(workerFile, exports) {
+	const problems = [];
+
+	for (const handler of exports.handlers) {
+		if (handler === 'fetch') continue;
+		problems.push(
+			`${workerFile} exports "${handler}", but Cloudflare Pages only runs \`fetch\`. Deploy to Workers (set "main" and "assets" in the wrangler config) to use it.`
+		);
+	}
+
+	for (const handler of exports.defaultHandlers) {
+		if (handler === 'fetch') continue;
+		problems.push(
+			`The default export of ${workerFile} has a "${handler}" handler, but Cloudflare Pages only runs \`fetch\`. Deploy to Workers (set "main" and "assets" in the wrangler config) to use it.`
+		);
+	}
+
+	for (const className of exports.classes) {
+		problems.push(
+			`${workerFile} exports class "${className}", but Cloudflare Pages can't host Durable Objects, Workflows or Worker entrypoints. Move it to a separate Worker and bind to it with "script_name" or a service binding.`
+		);
+	}
+
+	return problems;
+}
@@ -0,0 +1,283 @@
+import type { Unstable_Config } from 'wrangler';
+import { describe, expect, it } from 'vitest';
+import {
+	classifyExports,
+	exportWarnings,
+	readModuleBindings,
+	suggestHandler,
+	validateExports
+} from './worker-exports.js';
+
+const worker = `import { DurableObject, WorkflowEntrypoint } from 'cloudflare:workers';
+import * as workers from 'cloudflare:workers';
+
+class Counter extends DurableObject {}
+class Base extends WorkflowEntrypoint {}
+class Signup extends Base {}
+const Entry = class extends workers.WorkerEntrypoint {};
+class Plain {}
+const Mixed = mixin(Plain);
+const API_VERSION = '2';
+function helper() {}
+const queues = { emails() {}, 'thumbnail-jobs': () => {} };
+async function fetch() {}
+
+export { Counter, Signup, Entry, Plain, Mixed, API_VERSION, helper, queues, fetch };
+`;
+
+describe('readModuleBindings', () => {
+	it('reads exports, declarations and imports', () => {
+		const bindings = readModuleBindings(
+			`import { DurableObject as DO } from 'cloudflare:workers';
+import Default, * as ns from './other.js';
+export class Counter extends DO {}
+export const a = 1, b = a;
+const c = 2;
+export { c as renamed };
+`
+		);
+
+		expect(Object.fromEntries(bindings!.exports)).toEqual({
+			Counter: 'Counter',
+			a: 'a',
+			b: 'b',
+			renamed: 'c'
+		});
+		expect([...bindings!.declarations.keys()]).toEqual(['Counter', 'a', 'b', 'c']);
+		expect(Object.fromEntries(bindings!.imports)).toEqual({
+			DO: { source: 'cloudflare:workers', name: 'DurableObject' },
+			Default: { source: './other.js', name: 'default' },
+			ns: { source: './other.js', name: '*' }
+		});
+	});
+
+	it("returns undefined when the code doesn't parse", () => {
+		expect(readModuleBindings('export const = ;')).toBeUndefined();
+	});
+});
+
+describe('classifyExports', () => {
+	const names = [
+		'Counter',
+		'Signup',
+		'Entry',
+		'Plain',
+		'Mixed',
+		'API_VERSION',
+		'helper',
+		'queues',
+		'fetch'
+	];
+
+	it('tells classes apart by what they extend and leaves values out', () => {
+		const exports = classifyExports(names, worker, 'src/worker.ts');
+
+		expect(exports.handlers).toEqual(['queues', 'fetch']);
+		expect(exports.kinds).toEqual({
+			Counter: 'DurableObject',
+			Signup: 'WorkflowEntrypoint',
+			Entry: 'WorkerEntrypoint',
+			Plain: 'class',
+			Mixed: 'unknown'
+		});
+		expect(exports.classes).toEqual(['Counter', 'Signup', 'Entry', 'Plain', 'Mixed']);
+		expect(exports.values).toEqual(['API_VERSION', 'helper']);
+	});
+
+	it('reads the keys of dispatch maps', () => {
+		const exports = classifyExports(names, worker, 'src/worker.ts');
+		expect(exports.maps).toEqual({ queues: ['emails', 'thumbnail-jobs'] });
+	});
+
+	it("leaves the keys of dispatch maps it can't read statically unknown", () => {
+		const exports = classifyExports(
+			['queues'],
+			`const queues = { ...handlers };\nexport { queues };\n`,
+			'src/worker.ts'
+		);
+		expect(exports.maps).toEqual({ queues: null });
+	});
+
+	it('reads the handlers of the default export', () => {
+		const exports = classifyExports(
+			['default'],
+			`class Worker extends WorkerEntrypoint { fetch() {} queue() {} helper() {} static scheduled() {} }
+export { Worker as default };
+`,
+			'src/worker.ts'
+		);
+		expect(exports.hasDefault).toBe(true);
+		expect(exports.defaultHandlers).toEqual(['fetch', 'queue']);
+	});
+
+	it('keeps every other export as a class of unknown kind when the code does not parse', () => {
+		const exports = classifyExports(['fetch', 'API_VERSION'], '{', 'src/worker.ts');
+		expect(exports.classes).toEqual(['API_VERSION']);
+		expect(exports.kinds).toEqual({ API_VERSION: 'unknown' });
+	});
+
+	it('rejects a default export next to named handlers', () => {
+		expect(() =>
+			classifyExports(['default', 'fetch'], 'export default {};', 'src/worker.ts')
+		).toThrow('src/worker.ts has a default export and named handler exports (fetch)');
+	});
+
+	it('rejects classes named like the bindings of the generated entry', () => {
+		expect(() =>
+			classifyExports(
+				['worker_default', '__helper'],
+				'class worker_default {}\nclass __helper {}\nexport { worker_default, __helper };',
+				'src/worker.ts'
+			)
+		).toThrow('src/worker.ts exports "worker_default", "__helper"');
+	});
+});
+
+describe('suggestHandler', () => {
+	it('suggests the handler a name is a typo of', () => {
+		expect(suggestHandler('schedule')).toBe('scheduled');
+		expect(suggestHandler('Fetch')).toBe('fetch');
+		expect(suggestHandler('crns')).toBe('crons');
+		expect(suggestHandler('onerror')).toBe('onError');
+	});
+
+	it('suggests nothing for names too far from any handler', () => {
+		expect(suggestHandler('API_VERSION')).toBeUndefined();
+		expect(suggestHandler('handler')).toBeUndefined();
+	});
+});
+
+describe('exportWarnings', () => {
+	it('warns about values and about classes of unknown kind named like a handler', () => {
+		const exports = classifyExports(
+			['schedule', 'API_VERSION', 'Mixed', 'Queue'],
+			`const schedule = () => {};
+const API_VERSION = '2';
+const Mixed = mixin(Base);
+const Queue = mixin(Base);
+export { schedule, API_VERSION, Mixed, Queue };
+`,
+			'src/worker.ts'
+		);
+
+		expect(exportWarnings('src/worker.ts', exports)).toEqual([
+			'src/worker.ts exports "schedule", which is neither a handler nor a class, so the worker doesn\'t export it. Did you mean `scheduled`?',
+			'src/worker.ts exports "API_VERSION", which is neither a handler nor a class, so the worker doesn\'t export it.',
+			'src/worker.ts exports "Queue", which isn\'t a handler, so workerd never calls it. Did you mean `queue`?'
+		]);
+	});
+});
+
+describe('validateExports', () => {
+	const config = (config: Partial<Unstable_Config>) =>
+		({
+			name: 'app',
+			main: 'dist/_worker.js',
+			configPath: '/app/wrangler.jsonc',
+			...config
+		}) as Unstable_Config;
+	const exports = classifyExports(
+		['fetch', 'Counter', 'Chat'],
+		`import { DurableObject } from 'cloudflare:workers';
+class Counter extends DurableObject {}
+class Chat extends DurableObject {}
+async function fetch() {}
+export { fetch, Counter, Chat };
+`,
+		'src/worker.ts'
+	);
+
+	it('reports bound classes the worker does not export', () => {
+		const { errors } = validateExports(
+			'src/worker.ts',
+			exports,
+			config({
+				durable_objects: { bindings: [{ name: 'ROOMS', class_name: 'Room' }] },
+				migrations: [{ tag: 'v1', new_sqlite_classes: ['Counter', 'Chat'] }]
+			})
+		);
+		expect(errors).toEqual([
+			'Durable Object binding "ROOMS" in wrangler.jsonc uses class "Room", but src/worker.ts does not export it.'
+		]);
+	});
+
+	it('reports exported Durable Objects without a migration, bound or not', () => {
+		const { errors } = validateExports(
+			'src/worker.ts',
+			exports,
+			config({
+				durable_objects: { bindings: [{ name: 'COUNTER', class_name: 'Counter' }] },
+				migrations: [
+					{ tag: 'v1', new_classes: ['Chat'] },
+					{ tag: 'v2', deleted_classes: ['Chat'] }
+				]
+			})
+		);
+		expect(errors).toEqual([
+			'Durable Object class "Counter" has no migration in wrangler.jsonc. Add it to "new_sqlite_classes" (or "new_classes") in a new "migrations" entry.',
+			'Durable Object class "Chat" has no migration in wrangler.jsonc. Add it to "new_sqlite_classes" (or "new_classes") in a new "migrations" entry.'
+		]);
+	});
+
+	it('follows renamed classes through the migrations', () => {
+		const { errors } = validateExports(
+			'src/worker.ts',
+			exports,
+			config({
+				migrations: [
+					{ tag: 'v1', new_sqlite_classes: ['OldCounter', 'Chat'] },
+					{ tag: 'v2', renamed_classes: [{ from: 'OldCounter', to: 'Counter' }] }
+				]
+			})
+		);
+		expect(errors).toEqual([]);
+	});
+
+	it('warns about queues without a consumer', () => {
+		const queues = classifyExports(
+			['queues'],
+			`const queues = { emails() {}, invoices() {} };\nexport { queues };\n`,
+			'src/worker.ts'
+		);
+		const { errors, warnings } = validateExports(
+			'src/worker.ts',
+			queues,
+			config({ queues: { consumers: [{ queue: 'emails' }, { queue: 'thumbnails' }] } })
+		);
+		expect(errors).toEqual([]);
+		expect(warnings).toEqual([
+			'Queue "invoices" in the "queues" export of src/worker.ts has no "queues.consumers" entry in wrangler.jsonc, so it will never receive batches.'
+		]);
+	});
+
+	it('warns about crons without a trigger and triggers without a handler', () => {
+		const crons = classifyExports(
+			['crons'],
+			`const crons = { '0 * * * *'() {}, '0 3 * * *'() {} };\nexport { crons };\n`,
+			'src/worker.ts'
+		);
+		const { warnings } = validateExports(
+			'src/worker.ts',
+			crons,
+			config({ triggers: { crons: ['0 * * * *', '*/5 * * * *'] } })
+		);
+		expect(warnings).toEqual([
+			'Cron "0 3 * * *" in the "crons" export of src/worker.ts is not in "triggers.crons" in wrangler.jsonc, so it will never run.',
+			'Cron "*/5 * * * *" is declared in "triggers.crons" in wrangler.jsonc, but the "crons" export of src/worker.ts has no handler for it.'
+		]);
+	});
+
+	it('leaves the crons without a handler to a plain scheduled export', () => {
+		const crons = classifyExports(
+			['crons', 'scheduled'],
+			`const crons = { '0 * * * *'() {} };\nfunction scheduled() {}\nexport { crons, scheduled };\n`,
+			'src/worker.ts'
+		);
+		const { warnings } = validateExports(
+			'src/worker.ts',
+			crons,
+			config({ triggers: { crons: ['0 * * * *', '*/5 * * * *'] } })
+		);
+		expect(warnings).toEqual([]);
+	});
+});
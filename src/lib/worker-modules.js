@@ -0,0 +1,114 @@
+import { builtinModules } from 'node:module';
+import path from 'node:path';
+
+/**
+ * The Node built-in an import specifier names, with or without the `node:` prefix.
+ * @param {string} specifier
+ * @returns {string | undefined}
+ */
+export function nodeBuiltin(specifier) {
+	const module = specifier.replace(/^node:/, '');
+	if (specifier.startsWith('node:') || builtinModules.includes(module)) return module;
+}
+
+/**
+ * Which Node built-ins workerd provides, going by the wrangler `compatibility_flags`: all
+ * of them with `nodejs_compat`, only `async_hooks` with `nodejs_als`.
+ * @param {import('wrangler').Unstable_Config} [config]
+ * @returns {(module: string) => boolean}
+ */
+export function nodeCompatModules(config) {
+	const flags = config?.compatibility_flags ?? [];
+	if (flags.includes('nodejs_compat') || flags.includes('nodejs_compat_v2')) {
+		return () => true;
+	}
+	return flags.includes('nodejs_als') ? (module) => module === 'async_hooks' : () => false;
+}
+
+/**
+ * @param {string} specifier
+ * @param {string} importer
+ * @param {import('wrangler').Unstable_Config} [config]
+ * @returns {string}
+ */
+export function nodeBuiltinMessage(specifier, importer, config) {
+	const source = config?.configPath ? path.basename(config.configPath) : 'the wrangler config';
+	const from = path.isAbsolute(importer) ? path.relative(process.cwd(), importer) : importer;
+	return (
+		`[sveltekit-cloudflare-worker] ${from} imports "${specifier}", a Node.js built-in, but the ` +
+		`worker doesn't have the "nodejs_compat" compatibility flag. Add it to compatibility_flags in ${source}.`
+	);
+}
+
+/**
+ * Wrangler's default module rules, which apply after the config's own.
+ * @type {{ type: string, globs: string[], fallthrough?: boolean }[]}
+ */
+const DEFAULT_MODULE_RULES = [
+	{ type: 'Text', globs: ['**/*.txt', '**/*.html', '**/*.sql'] },
+	{ type: 'Data', globs: ['**/*.bin'] },
+	{ type: 'CompiledWasm', globs: ['**/*.wasm', '**/*.wasm?module'] }
+];
+
+// Rule types imported as a module of their own, rather than bundled like `ESModule` and `CommonJS`
+const ADDITIONAL_MODULE_TYPES = ['Text', 'Data', 'CompiledWasm'];
+
+/**
+ * The wrangler `rules` followed by the defaults, with wrangler's precedence: a rule without
+ * `fallthrough: true` ends the rules of its type, so the defaults of that type are dropped.
+ * @param {import('wrangler').Unstable_Config} [config]
+ * @returns {{ type: string, pattern: RegExp }[]}
+ */
+export function moduleRules(config) {
+	/** @type {{ type: string, pattern: RegExp }[]} */
+	const rules = [];
+	const completed = new Set();
+	for (const rule of [...(config?.rules ?? []), ...DEFAULT_MODULE_RULES]) {
+		if (completed.has(rule.type)) continue;
+		if (!rule.fallthrough) completed.add(rule.type);
+		if (!ADDITIONAL_MODULE_TYPES.includes(rule.type)) continue;
+		for (const glob of rule.globs) {
+			rules.push({ type: rule.type, pattern: globRegExp(glob) });
+		}
+	}
+	return rules;
+}
+
+/**
+ * @param {{ type: string, pattern: RegExp }[]} rules
+ * @param {string} id
+ * @returns {string | undefined} The module type of the first rule matching `id`
+ */
+export function matchModuleRule(rules, id) {
+	return rules.find((rule) => rule.pattern.test(id))?.type;
+}
+
+/**
+ * Convert a wrangler rule glob, matched against the import specifier, to a RegExp:
+ * `**` spans directories, `*` doesn't, and `?` is a literal as in `*.wasm?module`.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globRegExp(glob) {
+	const source = glob
+		.split(/(\*\*\/|\*\*|\*)/)
+		.map((part) =>
+			part === '**/'
+				? '(?:.*/)?'
+				: part === '**'
+					? '.*'
+					: part === '*'
+						? '[^/]*'
+						: escapeRegExp(part)
+		)
+		.join('');
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
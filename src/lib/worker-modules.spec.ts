@@ -0,0 +1,107 @@
+import path from 'node:path';
+import type { Unstable_Config } from 'wrangler';
+import { describe, expect, it } from 'vitest';
+import {
+	globRegExp,
+	matchModuleRule,
+	moduleRules,
+	nodeBuiltin,
+	nodeBuiltinMessage,
+	nodeCompatModules
+} from './worker-modules.js';
+
+const config = (config: Partial<Unstable_Config>) => config as Unstable_Config;
+
+describe('nodeBuiltin', () => {
+	it('names the built-in with or without the node: prefix', () => {
+		expect(nodeBuiltin('node:crypto')).toBe('crypto');
+		expect(nodeBuiltin('buffer')).toBe('buffer');
+		expect(nodeBuiltin('node:sqlite')).toBe('sqlite');
+		expect(nodeBuiltin('hono')).toBeUndefined();
+	});
+});
+
+describe('nodeCompatModules', () => {
+	it('provides every built-in with nodejs_compat', () => {
+		for (const flag of ['nodejs_compat', 'nodejs_compat_v2']) {
+			const provided = nodeCompatModules(config({ compatibility_flags: [flag] }));
+			expect(provided('crypto')).toBe(true);
+			expect(provided('async_hooks')).toBe(true);
+		}
+	});
+
+	it('only provides async_hooks with nodejs_als', () => {
+		const provided = nodeCompatModules(config({ compatibility_flags: ['nodejs_als'] }));
+		expect(provided('async_hooks')).toBe(true);
+		expect(provided('crypto')).toBe(false);
+	});
+
+	it('provides none without a flag or a config', () => {
+		expect(nodeCompatModules(config({ compatibility_flags: [] }))('async_hooks')).toBe(false);
+		expect(nodeCompatModules(undefined)('crypto')).toBe(false);
+	});
+});
+
+describe('nodeBuiltinMessage', () => {
+	it('names the importer relative to the cwd and the wrangler config to fix', () => {
+		const message = nodeBuiltinMessage(
+			'node:crypto',
+			path.resolve('src/lib/auth.ts'),
+			config({ configPath: path.resolve('wrangler.jsonc') })
+		);
+		expect(message).toBe(
+			'[sveltekit-cloudflare-worker] src/lib/auth.ts imports "node:crypto", a Node.js built-in, but the ' +
+				'worker doesn\'t have the "nodejs_compat" compatibility flag. Add it to compatibility_flags in wrangler.jsonc.'
+		);
+	});
+
+	it('falls back to the wrangler config without a path', () => {
+		expect(nodeBuiltinMessage('buffer', 'src/worker.ts', undefined)).toContain(
+			'src/worker.ts imports "buffer"'
+		);
+		expect(nodeBuiltinMessage('buffer', 'src/worker.ts', undefined)).toContain(
+			'compatibility_flags in the wrangler config.'
+		);
+	});
+});
+
+describe('globRegExp', () => {
+	it('spans directories with ** but not with *', () => {
+		expect(globRegExp('**/*.txt').test('notes.txt')).toBe(true);
+		expect(globRegExp('**/*.txt').test('./data/notes.txt')).toBe(true);
+		expect(globRegExp('data/*.txt').test('data/notes.txt')).toBe(true);
+		expect(globRegExp('data/*.txt').test('data/2024/notes.txt')).toBe(false);
+		expect(globRegExp('data/**').test('data/2024/notes.txt')).toBe(true);
+	});
+
+	it('matches ? and dots literally', () => {
+		expect(globRegExp('**/*.wasm?module').test('./add.wasm?module')).toBe(true);
+		expect(globRegExp('**/*.wasm?module').test('./add.wasmXmodule')).toBe(false);
+		expect(globRegExp('**/*.txt').test('notes-txt')).toBe(false);
+	});
+});
+
+describe('moduleRules', () => {
+	it('applies the defaults without config rules', () => {
+		const rules = moduleRules(undefined);
+		expect(matchModuleRule(rules, './query.sql')).toBe('Text');
+		expect(matchModuleRule(rules, './model.bin')).toBe('Data');
+		expect(matchModuleRule(rules, './add.wasm?module')).toBe('CompiledWasm');
+		expect(matchModuleRule(rules, './worker.js')).toBeUndefined();
+	});
+
+	it('drops the defaults of a type the config has a rule for', () => {
+		const rules = moduleRules(config({ rules: [{ type: 'Text', globs: ['**/*.md'] }] }));
+		expect(matchModuleRule(rules, './README.md')).toBe('Text');
+		expect(matchModuleRule(rules, './query.sql')).toBeUndefined();
+		expect(matchModuleRule(rules, './model.bin')).toBe('Data');
+	});
+
+	it('keeps them when the rule falls through', () => {
+		const rules = moduleRules(
+			config({ rules: [{ type: 'Text', globs: ['**/*.md'], fallthrough: true }] })
+		);
+		expect(matchModuleRule(rules, './README.md')).toBe('Text');
+		expect(matchModuleRule(rules, './query.sql')).toBe('Text');
+	});
+});
@@ -13,7 +13,13 @@ const config = {
 		// See https://svelte.dev/docs/kit/adapters for more information about adapters.
 		adapter: adapter({
 			platformProxy: { configPath: await proxyConfig() }
-		})
+		}),
+		typescript: {
+			// Pick up the App.Platform['env'] types generated from wrangler.jsonc
+			config: (tsconfig) => {
+				tsconfig.include.push('./cloudflare-worker/env.d.ts');
+			}
+		}
 	}
 };
 